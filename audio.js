@@ -0,0 +1,292 @@
+// Every sound in the game, made on the spot with the Web Audio API so there
+// are no sound files to ship. Sounds go through three volume buses:
+//
+//   music ──┐
+//           ├── master (the listener's own gain) ── speakers
+//   sfx ────┘
+//
+// Vehicles hum through a THREE.PositionalAudio on their mesh, so traffic
+// can be told apart by direction in VR. Browsers keep audio suspended until
+// the first click, key or touch, unlock() is hooked up to those here.
+import * as THREE from "https://esm.sh/three";
+
+const volumeKey = "gallinavr.volume";
+
+export const buses = ["master", "music", "sfx"];
+const defaultVolumes = { master: 0.8, music: 0.4, sfx: 0.8 };
+
+// Engine hums by vehicle type: pitch in Hz and how loud next to it
+const engines = {
+    car: { frequency: 90, volume: 0.25 },
+    truck: { frequency: 55, volume: 0.35 },
+    train: { frequency: 40, volume: 0.5 },
+};
+// Engines fade out over this many world units, so only nearby traffic is heard
+const engineRange = { near: 40, far: 340 };
+
+// A short loop for the music bus: a bass note every beat and an arpeggio
+// on top, semitones above the root or null for a rest
+const music = {
+    root: 220, // A3
+    stepTime: 0.18,
+    bass: [0, null, null, null, -5, null, null, null, -3, null, null, null, -7, null, null, null],
+    lead: [12, 16, 19, 16, 7, 11, 14, 11, 9, 12, 16, 12, 5, 9, 12, 9],
+};
+// Seconds of music scheduled ahead, so a slow frame doesn't leave a gap
+const scheduleAhead = 0.2;
+
+export function createAudio(camera) {
+    const listener = new THREE.AudioListener();
+    camera.add(listener);
+    const { context } = listener;
+
+    const musicBus = context.createGain();
+    musicBus.connect(listener.getInput());
+    const sfxBus = context.createGain();
+    sfxBus.connect(listener.getInput());
+
+    const volumes = loadVolumes();
+    let paused = true;
+
+    // Each vehicle's hum, { audio, oscillator, mix } keyed by its mesh
+    const engineSounds = new Map();
+
+    // Where the music loop is: the next step and when it's due
+    let musicStep = 0;
+    let nextStepTime = 0;
+
+    let noise = null; // A second of white noise, made on first use
+
+    applyVolumes();
+
+    ["pointerdown", "keydown", "touchstart"].forEach((type) =>
+        document.addEventListener(type, unlock, { capture: true })
+    );
+
+    function unlock() {
+        if (context.state === "suspended") context.resume().catch(() => {});
+    }
+
+    function applyVolumes() {
+        listener.setMasterVolume(volumes.master);
+        musicBus.gain.setTargetAtTime(paused ? 0 : volumes.music, context.currentTime, 0.05);
+        sfxBus.gain.setTargetAtTime(paused ? 0 : volumes.sfx, context.currentTime, 0.05);
+    }
+
+    function setVolume(bus, value) {
+        volumes[bus] = THREE.MathUtils.clamp(value, 0, 1);
+        localStorage.setItem(volumeKey, JSON.stringify(volumes));
+        applyVolumes();
+    }
+
+    function getVolume(bus) {
+        return volumes[bus];
+    }
+
+    // Everything but the master bus goes quiet while the game isn't being
+    // played, the music picks up where it left off
+    function setPaused(value) {
+        if (value === paused) return;
+        paused = value;
+        if (!paused) nextStepTime = context.currentTime + 0.05;
+        applyVolumes();
+    }
+
+    // From the top, for a new run
+    function restartMusic() {
+        musicStep = 0;
+        nextStepTime = context.currentTime + 0.05;
+    }
+
+    // Call once per frame to keep the music going
+    function update() {
+        if (paused || context.state !== "running") return;
+
+        // Catching up after the tab was in the background would play every
+        // missed note at once
+        nextStepTime = Math.max(nextStepTime, context.currentTime);
+        while (nextStepTime < context.currentTime + scheduleAhead) {
+            const bass = music.bass[musicStep];
+            const lead = music.lead[musicStep];
+            if (bass !== null) note("triangle", pitch(bass - 12), nextStepTime, music.stepTime * 3, 0.3);
+            if (lead !== null) note("square", pitch(lead), nextStepTime, music.stepTime * 0.8, 0.06);
+
+            musicStep = (musicStep + 1) % music.lead.length;
+            nextStepTime += music.stepTime;
+        }
+    }
+
+    function pitch(semitones) {
+        return music.root * Math.pow(2, semitones / 12);
+    }
+
+    function note(type, frequency, start, duration, volume) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        oscillator.connect(gain).connect(musicBus);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    // A tone on the SFX bus, or into destination, gliding from one pitch to
+    // another and dying away
+    function blip({ type, from, to = from, start = 0, duration, volume, destination = sfxBus }) {
+        const time = context.currentTime + start;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        oscillator.connect(gain).connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    // Noise through a filter, for crashes and splashes
+    function burst({ filter, frequency, duration, volume }) {
+        if (!noise) {
+            noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const data = noise.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        }
+
+        const time = context.currentTime;
+        const source = context.createBufferSource();
+        source.buffer = noise;
+        const shape = context.createBiquadFilter();
+        shape.type = filter;
+        shape.frequency.setValueAtTime(frequency, time);
+        shape.frequency.exponentialRampToValueAtTime(frequency / 4, time + duration);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        source.connect(shape).connect(gain).connect(sfxBus);
+        source.start(time);
+        source.stop(time + duration);
+    }
+
+    function hop() {
+        blip({ type: "square", from: 320, to: 640, duration: 0.08, volume: 0.08 });
+    }
+
+    function coin() {
+        blip({ type: "sine", from: 988, duration: 0.08, volume: 0.2 });
+        blip({ type: "sine", from: 1319, start: 0.07, duration: 0.2, volume: 0.2 });
+    }
+
+    // A thump and a crunch for whatever hit the chicken, a splash for water
+    // and a screech for the hawk
+    function crash(cause) {
+        if (cause === "water" || cause === "drifted") {
+            burst({ filter: "bandpass", frequency: 1800, duration: 0.6, volume: 0.5 });
+            return;
+        }
+        if (cause === "hawk") {
+            blip({ type: "sawtooth", from: 2200, to: 1400, duration: 0.5, volume: 0.12 });
+            return;
+        }
+
+        blip({ type: "sine", from: 120, to: 40, duration: 0.3, volume: 0.6 });
+        burst({ filter: "lowpass", frequency: cause === "train" ? 1200 : 2400, duration: 0.4, volume: 0.5 });
+    }
+
+    // Three quick dings for a train on its way
+    function bell() {
+        for (let i = 0; i < 3; i++) {
+            blip({ type: "triangle", from: 1400, start: i * 0.3, duration: 0.25, volume: 0.2 });
+        }
+    }
+
+    // Starts mesh humming like a vehicle of type, see engines
+    function addEngine(mesh, type) {
+        const { frequency, volume } = engines[type] ?? engines.car;
+
+        const audio = new THREE.PositionalAudio(listener);
+        audio.setDistanceModel("linear");
+        audio.setRefDistance(engineRange.near);
+        audio.setMaxDistance(engineRange.far);
+        audio.setVolume(volume);
+        // HRTF for every car in sight is too much for a headset, plain
+        // left and right panning is enough to tell where traffic is
+        audio.panner.panningModel = "equalpower";
+        // Through the SFX bus instead of straight into the listener
+        audio.gain.disconnect();
+        audio.gain.connect(sfxBus);
+
+        // The hum and any horn are mixed before the panner, so both come from
+        // where the vehicle is
+        const mix = context.createGain();
+        const oscillator = context.createOscillator();
+        oscillator.type = "sawtooth";
+        oscillator.frequency.value = frequency * (0.9 + Math.random() * 0.2);
+        const muffle = context.createBiquadFilter();
+        muffle.type = "lowpass";
+        muffle.frequency.value = frequency * 4;
+        oscillator.connect(muffle).connect(mix);
+        oscillator.start();
+
+        audio.setNodeSource(mix);
+        mesh.add(audio);
+        engineSounds.set(mesh, { audio, oscillator, mix });
+    }
+
+    function removeEngine(mesh) {
+        const engine = engineSounds.get(mesh);
+        if (!engine) return;
+
+        engine.oscillator.stop();
+        engine.audio.disconnect();
+        engine.audio.gain.disconnect();
+        engine.audio.removeFromParent();
+        engineSounds.delete(mesh);
+    }
+
+    function removeAllEngines() {
+        engineSounds.forEach((engine, mesh) => removeEngine(mesh));
+    }
+
+    // Two notes at once, out of the vehicle's engine
+    function horn(mesh) {
+        const engine = engineSounds.get(mesh);
+        if (!engine) return;
+
+        [415, 523].forEach((frequency) =>
+            blip({ type: "square", from: frequency, duration: 0.35, volume: 0.5, destination: engine.mix })
+        );
+    }
+
+    return {
+        listener,
+        unlock,
+        setVolume,
+        getVolume,
+        setPaused,
+        restartMusic,
+        update,
+        hop,
+        coin,
+        crash,
+        bell,
+        horn,
+        addEngine,
+        removeEngine,
+        removeAllEngines,
+    };
+}
+
+function loadVolumes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(volumeKey) ?? "{}");
+        return Object.fromEntries(
+            buses.map((bus) => [bus, Number.isFinite(saved?.[bus]) ? saved[bus] : defaultVolumes[bus]])
+        );
+    } catch {
+        return { ...defaultVolumes }; // Broken save, back to the defaults
+    }
+}
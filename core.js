@@ -0,0 +1,615 @@
+// Game rules without any rendering. Everything here runs in the browser or
+// in Node: the Three.js layer in script.js only mirrors this state.
+//
+//   const game = createGame({ debug: true });
+//   game.on("died", ({ cause }) => console.log(cause));
+//   game.reset("my-seed");
+//   game.queueMove("forward");
+//   const alpha = game.advance(frameDelta); // Runs whole ticks, see below
+//
+// The simulation only ever moves in fixed ticks of tickTime seconds, so a
+// seed and the ticks moves were queued on play out the same at any frame
+// rate. advance() returns how far the leftover time reaches into the next
+// tick for the renderer to interpolate with.
+//
+// reset(seed, 2) starts a run with two chickens on the same rows. Each has
+// its own entry in game.players, and the methods and events that are about
+// a chicken take or report its index there.
+import { createRandom } from "./random.js";
+import {
+    generateRows,
+    minTileIndex,
+    maxTileIndex,
+    beginningOfRow,
+    endOfRow,
+    beginningOfRiver,
+    endOfRiver,
+} from "./generation.js";
+import { ensurePassable } from "./solver.js";
+import { difficultyAt } from "./difficulty.js";
+
+export { minTileIndex, maxTileIndex };
+
+// Bump whenever a change makes the same seed and moves play out
+// differently, so old replays can tell they may not match any more
+export const gameVersion = 1;
+
+export const stepTime = 0.2; // Seconds it takes to take a step
+export const tickTime = 1 / 120;
+
+// A frame longer than this (a hitch, a breakpoint) is cut short rather
+// than simulated all at once
+const maxFrameTime = 0.25;
+
+// A moving object that jumps further than this in one tick looped round
+// the row, it didn't sweep across it
+export const wrapJump = 5;
+
+// Rows further behind the player than this are dropped for good
+export const rowsKeptBehind = 10;
+
+// Only rows this close to the player move, the rest wait frozen
+const activeRowsBehind = 6;
+const activeRowsAhead = 12;
+
+// The chicken's footprint in tiles, vehicles carry their own sizes
+const playerSize = { width: 0.36, depth: 0.36 };
+
+export const collisionConfig = {
+    // Tiles shaved off every side of a hitbox, so grazing a bumper is survivable
+    forgiveness: 0.08,
+};
+
+// Everything about one chicken, the rows and the clock are shared
+function createPlayer(index) {
+    return {
+        index,
+        position: {
+            currentRow: 0,
+            // Whole tiles on land, fractional while a log carries the player
+            currentTile: 0,
+        },
+        movesQueue: [],
+        moveTime: 0, // Seconds into the step at the front of movesQueue
+        carried: 0, // Tiles a log carried the player in the last tick
+        bestRow: 0, // Furthest row reached this run
+        settings: difficultyAt(0), // Difficulty at bestRow, only worked out when it goes up
+        idleTime: 0, // Seconds since bestRow last went up
+        hawkTime: 0, // Seconds the hawk has been diving, 0 while it stays away
+        alive: true,
+        deathCause: null,
+        coins: 0, // Coins picked up this run
+    };
+}
+
+// With debug on, the game logs how it had to fix up generated rows
+export function createGame({ debug = false } = {}) {
+    const listeners = {};
+    let random = createRandom("");
+
+    const game = {
+        seed: "",
+        // metadata[0] describes row 1, the first row in front of the start.
+        // Rows dropped behind the player are left as null so indexes hold.
+        metadata: [],
+        firstRow: 1 - rowsKeptBehind, // Oldest row still on the map
+        players: [createPlayer(0)],
+        tick: 0, // Ticks simulated since the last reset
+        accumulator: 0, // Seconds not yet simulated
+        alive: true, // Until every player is out
+        on,
+        off,
+        reset,
+        queueMove,
+        advance,
+        step,
+        moveProgress,
+        playerTile,
+        landingTile,
+        activeRows,
+    };
+
+    function on(event, handler) {
+        (listeners[event] ??= []).push(handler);
+    }
+
+    function off(event, handler) {
+        listeners[event] = (listeners[event] ?? []).filter((h) => h !== handler);
+    }
+
+    function emit(event, data) {
+        (listeners[event] ?? []).forEach((handler) => handler(data));
+    }
+
+    function reset(seed, playerCount = 1) {
+        game.seed = seed;
+        random = createRandom(seed);
+
+        game.metadata.length = 0;
+        game.firstRow = 1 - rowsKeptBehind;
+        game.players = Array.from({ length: playerCount }, (_, index) => createPlayer(index));
+        game.tick = 0;
+        game.accumulator = 0;
+        game.alive = true;
+
+        emit("reset", { seed, players: playerCount });
+        addRows();
+    }
+
+    function addRows() {
+        const startIndex = game.metadata.length;
+        const rows = generateRows(
+            20,
+            random,
+            startIndex + 1,
+            game.metadata.slice(-10)
+        );
+
+        // Check the new rows against the last one already on the map
+        const lastRow = game.metadata[startIndex - 1];
+        const repairs = ensurePassable(lastRow ? [lastRow, ...rows] : rows, random);
+        if (debug) {
+            console.log(
+                `Rows ${startIndex + 1}-${startIndex + rows.length}: ${repairs} repairs`
+            );
+        }
+
+        game.metadata.push(...rows);
+
+        emit("rowsGenerated", { rows, startIndex });
+    }
+
+    function queueMove(direction, playerIndex = 0) {
+        const player = game.players[playerIndex];
+        if (!player?.alive) return;
+
+        // Every request counts for replays, even ones turned down below
+        emit("moveQueued", { direction, tick: game.tick, player: playerIndex });
+
+        const isValidMove = endsUpInValidPosition(
+            {
+                rowIndex: player.position.currentRow,
+                tileIndex: player.position.currentTile,
+            },
+            [...player.movesQueue, direction]
+        );
+
+        if (!isValidMove) return;
+
+        player.movesQueue.push(direction);
+    }
+
+    function advance(delta) {
+        game.accumulator += Math.min(delta, maxFrameTime);
+
+        while (game.accumulator >= tickTime) {
+            step(tickTime);
+            game.accumulator -= tickTime;
+        }
+
+        return game.accumulator / tickTime;
+    }
+
+    // One tick of the simulation, use advance() unless stepping by hand
+    function step(dt) {
+        if (!game.alive) return;
+        game.tick += 1;
+
+        moveVehicles(dt);
+        moveLogs(dt);
+
+        game.players.forEach((player) => {
+            if (!player.alive) return;
+            carryPlayer(player, dt);
+            if (!player.alive) return;
+            movePlayer(player, dt);
+            hitTest(player);
+            if (!player.alive) return;
+            updateHawk(player, dt);
+        });
+    }
+
+    // alpha reaches into the next tick, for rendering between ticks
+    function moveProgress(alpha = 0, playerIndex = 0) {
+        const player = game.players[playerIndex];
+        if (!player.movesQueue.length) return 0;
+        return Math.min(1, (player.moveTime + alpha * tickTime) / stepTime);
+    }
+
+    // Tile the player's centre is over right now, fractional mid-hop
+    function playerTile(playerIndex = 0) {
+        const { position, movesQueue } = game.players[playerIndex];
+        const progress = moveProgress(0, playerIndex);
+        if (movesQueue[0] === "left") return position.currentTile - progress;
+        if (movesQueue[0] === "right") return position.currentTile + progress;
+        return position.currentTile;
+    }
+
+    // Tile the player ends up on after leaving its tile for the given row:
+    // logs keep wherever the player is, land snaps to the nearest whole tile
+    function landingTile(rowIndex, tile) {
+        const row = game.metadata[rowIndex - 1];
+        if (row && row.type === "river") return tile;
+        return Math.round(tile);
+    }
+
+    function movePlayer(player, dt) {
+        if (!player.movesQueue.length) return;
+
+        player.moveTime += dt;
+
+        // Once a step has ended, give or take rounding in the tick sum
+        if (player.moveTime >= stepTime - 1e-9) {
+            stepCompleted(player);
+            player.moveTime = 0;
+        }
+    }
+
+    function stepCompleted(player) {
+        const { position } = player;
+        const direction = player.movesQueue.shift();
+
+        if (direction === "forward") position.currentRow += 1;
+        if (direction === "backward") position.currentRow -= 1;
+        if (direction === "left") position.currentTile -= 1;
+        if (direction === "right") position.currentTile += 1;
+        position.currentTile = landingTile(position.currentRow, position.currentTile);
+
+        // Counted as soon as the chicken lands, even if it dies right there
+        if (position.currentRow > player.bestRow) {
+            player.bestRow = position.currentRow;
+            player.settings = difficultyAt(player.bestRow);
+            player.idleTime = 0;
+        }
+
+        // Rows are made for whoever is in front and kept for whoever is behind
+        if (position.currentRow > game.metadata.length - 10) addRows();
+        removeRowsBehind();
+        dropBlockedMoves(player);
+
+        emit("moved", {
+            player: player.index,
+            direction,
+            row: position.currentRow,
+            tile: position.currentTile,
+        });
+
+        const row = game.metadata[position.currentRow - 1];
+        if (!row) return;
+        if (row.type === "river" && !logUnderPlayer(player, row)) die(player, "water");
+        else collectCoins(player, row);
+    }
+
+    // Moves queued behind a hop were checked from where the player was
+    // before the river carried them, so check them again from where they
+    // are and drop the first one that now ends in a tree or off the edge,
+    // and the rest after it
+    function dropBlockedMoves(player) {
+        const { position, movesQueue } = player;
+        const from = { rowIndex: position.currentRow, tileIndex: position.currentTile };
+        const blocked = movesQueue.findIndex(
+            (move, index) => !endsUpInValidPosition(from, movesQueue.slice(0, index + 1))
+        );
+        if (blocked !== -1) movesQueue.length = blocked;
+    }
+
+    function collectCoins(player, rowData) {
+        rowData.coins.forEach((coin) => {
+            if (coin.collected || coin.tileIndex !== player.position.currentTile) return;
+
+            coin.collected = true;
+            player.coins++;
+            emit("coinCollected", {
+                player: player.index,
+                coin,
+                row: player.position.currentRow,
+                coins: player.coins,
+            });
+        });
+    }
+
+    // Rows the players still in the run are on, as [last behind, first ahead]
+    function rowsInPlay() {
+        const rows = game.players
+            .filter((player) => player.alive)
+            .map((player) => player.position.currentRow);
+        return [Math.min(...rows), Math.max(...rows)];
+    }
+
+    function removeRowsBehind() {
+        const [trailingRow] = rowsInPlay();
+        const rows = [];
+        while (game.firstRow < trailingRow - rowsKeptBehind) {
+            const rowIndex = game.firstRow;
+            // Rows up to 0 are the starting lawn, they have no metadata
+            const rowData = rowIndex > 0 ? game.metadata[rowIndex - 1] : null;
+            if (rowIndex > 0) game.metadata[rowIndex - 1] = null;
+
+            rows.push({ rowIndex, rowData });
+            game.firstRow += 1;
+        }
+
+        if (rows.length) emit("rowsRemoved", { rows });
+    }
+
+    // [first, last] row index the simulation moves, empty (first > last)
+    // once nobody is alive
+    function activeRows() {
+        const [trailingRow, leadingRow] = rowsInPlay();
+        return [
+            Math.max(1, trailingRow - activeRowsBehind),
+            Math.min(game.metadata.length, leadingRow + activeRowsAhead),
+        ];
+    }
+
+    function forEachActiveRow(callback) {
+        const [first, last] = activeRows();
+
+        for (let rowIndex = first; rowIndex <= last; rowIndex++) {
+            const rowData = game.metadata[rowIndex - 1];
+            if (rowData) callback(rowData, rowIndex);
+        }
+    }
+
+    function logUnderPlayer(player, row) {
+        const tile = player.position.currentTile;
+        return row.logs.find(
+            (log) => Math.abs(log.position - tile) <= log.length / 2
+        );
+    }
+
+    function moveLogs(dt) {
+        const loop = endOfRiver - beginningOfRiver;
+
+        forEachActiveRow((rowData) => {
+            if (rowData.type !== "river") return;
+
+            // Loop by a whole lap instead of snapping to the edge so the
+            // gaps between logs never change
+            rowData.logs.forEach((log) => {
+                log.previousPosition = log.position;
+                if (rowData.direction) {
+                    log.position += rowData.speed * dt;
+                    if (log.position > endOfRiver) log.position -= loop;
+                } else {
+                    log.position -= rowData.speed * dt;
+                    if (log.position < beginningOfRiver) log.position += loop;
+                }
+            });
+        });
+    }
+
+    // A player standing on a log, or hopping along it, drifts with it
+    function carryPlayer(player, dt) {
+        const { position, movesQueue } = player;
+        player.carried = 0;
+
+        const row = game.metadata[position.currentRow - 1];
+        if (!row || row.type !== "river") return;
+        if (movesQueue[0] === "forward" || movesQueue[0] === "backward") return;
+
+        player.carried = (row.direction ? 1 : -1) * row.speed * dt;
+        position.currentTile += player.carried;
+
+        if (position.currentTile < minTileIndex || position.currentTile > maxTileIndex) {
+            die(player, "drifted", row.direction);
+        }
+    }
+
+    function moveVehicles(dt) {
+        forEachActiveRow((rowData, rowIndex) => {
+            if (rowData.type === "train") moveTrain(rowData, rowIndex, dt);
+
+            if (rowData.type === "car" || rowData.type === "truck") {
+                rowData.vehicles.forEach((vehicle) => {
+                    const speed = followingSpeed(rowData, vehicle);
+                    vehicle.previousPosition = vehicle.position;
+
+                    if (rowData.direction) {
+                        vehicle.position =
+                            vehicle.position > endOfRow
+                                ? beginningOfRow
+                                : vehicle.position + speed * dt;
+                    } else {
+                        vehicle.position =
+                            vehicle.position < beginningOfRow
+                                ? endOfRow
+                                : vehicle.position - speed * dt;
+                    }
+                });
+            }
+        });
+    }
+
+    // A vehicle that catches up with a slower one in its lane tails it
+    function followingSpeed(rowData, vehicle) {
+        const rowLength = endOfRow - beginningOfRow;
+        const safeGap = vehicle.length + 0.5;
+
+        const ahead = rowData.vehicles.find((other) => {
+            if (other === vehicle) return false;
+            const gap = rowData.direction
+                ? other.position - vehicle.position
+                : vehicle.position - other.position;
+            return ((gap % rowLength) + rowLength) % rowLength < safeGap;
+        });
+
+        return ahead ? Math.min(vehicle.speed, ahead.speed) : vehicle.speed;
+    }
+
+    // Trains keep to a timetable: wait, flash the signal, then cross at speed
+    function moveTrain(rowData, rowIndex, dt) {
+        rowData.timer -= dt;
+
+        if (rowData.phase === "waiting" && rowData.timer <= 0) {
+            rowData.phase = "warning";
+            rowData.timer = rowData.warningTime;
+            emit("trainWarning", { row: rowIndex });
+        } else if (rowData.phase === "warning" && rowData.timer <= 0) {
+            rowData.phase = "passing";
+        }
+
+        const train = rowData.vehicles[0];
+        train.previousPosition = train.position;
+
+        if (rowData.phase !== "passing") return;
+
+        // Same wrap as the other vehicles, except the train has to be all the
+        // way out of the row and then waits there for its next turn
+        const beginning = beginningOfRow - train.length / 2;
+        const end = endOfRow + train.length / 2;
+
+        if (rowData.direction) {
+            if (train.position > end) waitForNextTrain(rowData, beginning);
+            else train.position += rowData.speed * dt;
+        } else {
+            if (train.position < beginning) waitForNextTrain(rowData, end);
+            else train.position -= rowData.speed * dt;
+        }
+    }
+
+    function waitForNextTrain(rowData, position) {
+        rowData.vehicles[0].position = position;
+        rowData.phase = "waiting";
+        rowData.timer = rowData.gaps[rowData.nextGap];
+        rowData.nextGap = (rowData.nextGap + 1) % rowData.gaps.length;
+    }
+
+    // Standing still or backing off too far brings the hawk
+    function updateHawk(player, dt) {
+        const { currentRow } = player.position;
+        const { settings } = player;
+        player.idleTime += dt;
+
+        const inDanger =
+            player.idleTime > settings.hawkIdleTime ||
+            player.bestRow - currentRow > settings.hawkRowsBehind;
+
+        if (!inDanger) {
+            if (player.hawkTime > 0) emit("hawkLeft", { player: player.index });
+            player.hawkTime = 0;
+            return;
+        }
+
+        if (player.hawkTime === 0) {
+            emit("hawkWarning", { player: player.index, time: settings.hawkWarningTime });
+        }
+        player.hawkTime += dt;
+        if (player.hawkTime >= settings.hawkWarningTime) die(player, "hawk");
+    }
+
+    function hitTest(player) {
+        const { currentRow } = player.position;
+        const direction = player.movesQueue[0];
+        const progress = moveProgress(0, player.index);
+
+        // Where the chicken is across the rows, fractional mid-hop
+        let playerRow = currentRow;
+        if (direction === "forward") playerRow += progress;
+        if (direction === "backward") playerRow -= progress;
+
+        // Mid-hop it can still overlap the row it's leaving and already
+        // overlap the one it's landing in
+        hitTestRow(player, currentRow, playerRow);
+        if (direction === "forward") hitTestRow(player, currentRow + 1, playerRow);
+        if (direction === "backward") hitTestRow(player, currentRow - 1, playerRow);
+    }
+
+    function hitTestRow(player, rowIndex, playerRow) {
+        const row = game.metadata[rowIndex - 1];
+        if (!row || !row.vehicles) return;
+
+        const tile = playerTile(player.index);
+        const { forgiveness } = collisionConfig;
+
+        // Test the whole stretch a vehicle covered this tick, so even a
+        // train can't skip over the player between two ticks
+        const hit = row.vehicles.some((vehicle) => {
+            const depth = (vehicle.width + playerSize.depth) / 2 - forgiveness;
+            if (Math.abs(playerRow - rowIndex) >= depth) return false;
+
+            const reach = (vehicle.length + playerSize.width) / 2 - forgiveness;
+            let from = vehicle.previousPosition ?? vehicle.position;
+            if (Math.abs(vehicle.position - from) > wrapJump) from = vehicle.position;
+
+            return (
+                tile > Math.min(from, vehicle.position) - reach &&
+                tile < Math.max(from, vehicle.position) + reach
+            );
+        });
+        if (hit) die(player, row.type, row.direction);
+    }
+
+    // The run goes on until the last player is out, the "died" event for
+    // them comes with game.alive already false. direction is the way
+    // whatever killed the player was going, like a row's.
+    function die(player, cause, direction) {
+        if (!player.alive) return;
+
+        player.alive = false;
+        player.deathCause = cause;
+        game.alive = game.players.some((other) => other.alive);
+        emit("died", {
+            player: player.index,
+            cause,
+            row: player.position.currentRow,
+            tile: player.position.currentTile,
+            direction,
+        });
+    }
+
+    function endsUpInValidPosition(currentPosition, moves) {
+        const finalPosition = calculateFinalPosition(currentPosition, moves);
+
+        // Off a log the player can be between tiles, anything past the
+        // outermost tiles is out of bounds
+        if (
+            finalPosition.rowIndex === -1 ||
+            finalPosition.rowIndex < game.firstRow ||
+            finalPosition.tileIndex < minTileIndex ||
+            finalPosition.tileIndex > maxTileIndex
+        ) {
+            return false;
+        }
+
+        const finalRow = game.metadata[finalPosition.rowIndex - 1];
+        const finalTile = landingTile(finalPosition.rowIndex, finalPosition.tileIndex);
+        if (
+            finalRow &&
+            finalRow.type === "forest" &&
+            finalRow.trees.some((tree) => tree.tileIndex === finalTile)
+        ) {
+            return false;
+        }
+
+        return true;
+    }
+
+    return game;
+}
+
+export function calculateFinalPosition(currentPosition, moves) {
+    return moves.reduce((position, direction) => {
+        if (direction === "forward")
+            return {
+                rowIndex: position.rowIndex + 1,
+                tileIndex: position.tileIndex,
+            };
+        if (direction === "backward")
+            return {
+                rowIndex: position.rowIndex - 1,
+                tileIndex: position.tileIndex,
+            };
+        if (direction === "left")
+            return {
+                rowIndex: position.rowIndex,
+                tileIndex: position.tileIndex - 1,
+            };
+        if (direction === "right")
+            return {
+                rowIndex: position.rowIndex,
+                tileIndex: position.tileIndex + 1,
+            };
+        return position;
+    }, currentPosition);
+}
@@ -0,0 +1,151 @@
+// The sun, the sky and a day going by over a run. The sun and its shadow
+// box follow whatever update() is told to look at, so shadows never run
+// out however far the chicken gets. With the cycle turned off it stays a
+// fixed, bright day, which is also the cheapest: no fog and no headlights.
+import * as THREE from "https://esm.sh/three";
+
+const enabledKey = "gallinavr.dayNight";
+
+export const dayNightConfig = {
+    dayLength: 180, // Seconds of play for a whole day and night
+    startOfRun: 0.3, // Time of day every run starts at, 0 midnight, 0.5 noon
+    shadowSize: 400, // Half the side of the shadow box, in world units
+    shadowMapSize: 2048,
+};
+
+// How the world looks at each time of day, blended in between
+const keyframes = [
+    { time: 0, sky: 0x0b1026, sun: 0x8fa3d9, sunIntensity: 0.25, ambient: 0.18, night: 1 },
+    { time: 0.22, sky: 0x0b1026, sun: 0x8fa3d9, sunIntensity: 0.25, ambient: 0.18, night: 1 },
+    { time: 0.28, sky: 0xf4a261, sun: 0xffb070, sunIntensity: 0.6, ambient: 0.35, night: 0.4 },
+    { time: 0.35, sky: 0x87ceeb, sun: 0xffffff, sunIntensity: 1, ambient: 0.5, night: 0 },
+    { time: 0.65, sky: 0x87ceeb, sun: 0xffffff, sunIntensity: 1, ambient: 0.5, night: 0 },
+    { time: 0.72, sky: 0xe76f51, sun: 0xff8c5a, sunIntensity: 0.6, ambient: 0.35, night: 0.4 },
+    { time: 0.78, sky: 0x0b1026, sun: 0x8fa3d9, sunIntensity: 0.25, ambient: 0.18, night: 1 },
+    { time: 1, sky: 0x0b1026, sun: 0x8fa3d9, sunIntensity: 0.25, ambient: 0.18, night: 1 },
+];
+
+// The look with the cycle turned off, as the game always was
+const fixedDay = { sky: 0x1a1a1a, sun: 0xffffff, sunIntensity: 1, ambient: 0.5, night: 0 };
+
+// Fog only closes in at night, from nothing to these distances
+const nightFog = { near: 250, far: 700 };
+const clearFog = { near: 5000, far: 10000 };
+
+export function createDaylight(scene) {
+    const ambient = new THREE.AmbientLight(0xffffff, 0.5);
+    scene.add(ambient);
+
+    const sun = new THREE.DirectionalLight(0xffffff, 1);
+    sun.up.set(0, 0, 1);
+    sun.castShadow = true;
+    sun.shadow.mapSize.width = dayNightConfig.shadowMapSize;
+    sun.shadow.mapSize.height = dayNightConfig.shadowMapSize;
+
+    const { shadowSize } = dayNightConfig;
+    sun.shadow.camera.up.set(0, 0, 1);
+    sun.shadow.camera.left = -shadowSize;
+    sun.shadow.camera.right = shadowSize;
+    sun.shadow.camera.top = shadowSize;
+    sun.shadow.camera.bottom = -shadowSize;
+    sun.shadow.camera.near = 1;
+    sun.shadow.camera.far = 1000;
+    scene.add(sun);
+    scene.add(sun.target); // So its matrix follows it around
+
+    scene.background = new THREE.Color(fixedDay.sky);
+    scene.fog = new THREE.Fog(fixedDay.sky, clearFog.near, clearFog.far);
+
+    // Shared by every vehicle's headlights, see Headlights() in script.js
+    const headlights = {
+        lamp: new THREE.MeshBasicMaterial({ color: 0x555555 }),
+        beam: new THREE.MeshBasicMaterial({
+            color: 0xfff3b0,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+        }),
+    };
+
+    let enabled = localStorage.getItem(enabledKey) !== "off";
+    const fog = scene.fog;
+    const look = { sky: new THREE.Color(), sun: new THREE.Color(), sunIntensity: 1, ambient: 0.5, night: 0 };
+    const offset = new THREE.Vector3();
+    const from = new THREE.Color();
+    const to = new THREE.Color();
+
+    function setEnabled(value) {
+        enabled = value;
+        localStorage.setItem(enabledKey, enabled ? "on" : "off");
+    }
+
+    function isEnabled() {
+        return enabled;
+    }
+
+    // 0 at midnight, 0.5 at noon, seconds into the run
+    function timeOfDay(seconds) {
+        const time = dayNightConfig.startOfRun + seconds / dayNightConfig.dayLength;
+        return time - Math.floor(time);
+    }
+
+    function lookAt(time) {
+        if (!enabled) {
+            look.sky.set(fixedDay.sky);
+            look.sun.set(fixedDay.sun);
+            look.sunIntensity = fixedDay.sunIntensity;
+            look.ambient = fixedDay.ambient;
+            look.night = fixedDay.night;
+            return;
+        }
+
+        const next = keyframes.findIndex((keyframe) => keyframe.time >= time);
+        const b = keyframes[Math.max(next, 1)];
+        const a = keyframes[Math.max(next, 1) - 1];
+        const blend = (time - a.time) / (b.time - a.time);
+
+        look.sky.lerpColors(from.set(a.sky), to.set(b.sky), blend);
+        look.sun.lerpColors(from.set(a.sun), to.set(b.sun), blend);
+        look.sunIntensity = THREE.MathUtils.lerp(a.sunIntensity, b.sunIntensity, blend);
+        look.ambient = THREE.MathUtils.lerp(a.ambient, b.ambient, blend);
+        look.night = THREE.MathUtils.lerp(a.night, b.night, blend);
+    }
+
+    // Where the light comes from. The sun crosses the sky from left to
+    // right during the day and the moon does the same at night, always a
+    // little behind so shadows fall ahead of the chicken. With the cycle
+    // off it stays where the game's light always was.
+    function lightOffset(time) {
+        if (!enabled) return offset.set(-100, -100, 200);
+
+        // 0 as it rises, PI as it sets
+        const angle = THREE.MathUtils.euclideanModulo((time - 0.25) * 2 * Math.PI, Math.PI);
+        return offset.set(-Math.cos(angle) * 200, -100, 60 + Math.sin(angle) * 190);
+    }
+
+    // Call once per frame with the seconds played and the point to keep
+    // lit, usually the chicken
+    function update(seconds, focus) {
+        const time = timeOfDay(seconds);
+        lookAt(time);
+
+        sun.target.position.copy(focus);
+        sun.position.copy(focus).add(lightOffset(time));
+        sun.color.copy(look.sun);
+        sun.intensity = look.sunIntensity;
+        ambient.intensity = look.ambient;
+
+        scene.background.copy(look.sky);
+        scene.fog = enabled ? fog : null;
+        fog.color.copy(look.sky);
+        fog.near = THREE.MathUtils.lerp(clearFog.near, nightFog.near, look.night);
+        fog.far = THREE.MathUtils.lerp(clearFog.far, nightFog.far, look.night);
+
+        headlights.lamp.color.setScalar(0.33).lerp(to.set(0xfff3b0), look.night);
+        headlights.beam.opacity = look.night * 0.35;
+        headlights.beam.visible = look.night > 0; // Not drawn at all by day
+    }
+
+    return { sun, ambient, headlights, setEnabled, isEnabled, update };
+}
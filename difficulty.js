@@ -0,0 +1,75 @@
+// How hard the course gets as the player goes further. Every setting is a
+// { start, end } pair: row 1 uses start, rampRows and beyond use end, and
+// the rows in between blend from one to the other. Tune the curve here,
+// the generators in generation.js only read the values back.
+export const difficultyConfig = {
+    rampRows: 250,
+
+    // Relative chance of each kind of row
+    laneWeights: {
+        start: { forest: 5, car: 3, truck: 2, river: 2, train: 1 },
+        end: { forest: 2, car: 4, truck: 3, river: 3, train: 2 },
+    },
+
+    // Chance a road (car, truck or train) row follows another road row,
+    // and the longest run of them allowed
+    roadRunChance: { start: 0.2, end: 0.7 },
+    maxRoadRun: { start: 2, end: 6 },
+
+    carsPerLane: { start: 2, end: 4 },
+    trucksPerLane: { start: 1, end: 3 },
+    treesPerRow: { start: 3, end: 5 },
+
+    // Lane speeds in tiles per second are picked from laneSpeeds and scaled
+    laneSpeeds: [2.4, 3, 3.6],
+    speedScale: { start: 0.9, end: 1.6 },
+    // How far one vehicle's speed may stray from its lane's, as a fraction
+    speedSpread: { start: 0, end: 0.3 },
+    // Trains run at one of trainSpeeds, scaled the same way, and the next
+    // one comes between trainGapMin and trainGapMax seconds after the last
+    trainSpeeds: [20, 25, 30],
+    trainGapMin: { start: 3, end: 2 },
+    trainGapMax: { start: 8, end: 5 },
+
+    // Every restEvery rows, restLength rows of open grass to catch a breath
+    restEvery: 40,
+    restLength: 2,
+    restTrees: 2,
+
+    // Chance a row gets a coin on one of its free tiles
+    coinChance: { start: 0.35, end: 0.2 },
+
+    // A hawk comes for a player who makes no progress for hawkIdleTime
+    // seconds or falls more than hawkRowsBehind rows behind their best row.
+    // It dives for hawkWarningTime seconds first, moving on forward escapes it.
+    hawkIdleTime: { start: 9, end: 5 },
+    hawkRowsBehind: { start: 4, end: 2 },
+    hawkWarningTime: 1.5,
+};
+
+function blend(start, end, t) {
+    if (typeof start === "number") return start + (end - start) * t;
+
+    return Object.fromEntries(
+        Object.keys(start).map((key) => [key, blend(start[key], end[key], t)])
+    );
+}
+
+// Resolves every { start, end } setting to its value at the given row
+export function difficultyAt(rowIndex, config = difficultyConfig) {
+    const t = Math.min(1, Math.max(0, (rowIndex - 1) / config.rampRows));
+
+    return Object.fromEntries(
+        Object.entries(config).map(([key, value]) => [
+            key,
+            value?.start !== undefined ? blend(value.start, value.end, t) : value,
+        ])
+    );
+}
+
+export function isRestRow(rowIndex, config = difficultyConfig) {
+    return (
+        rowIndex >= config.restEvery &&
+        rowIndex % config.restEvery < config.restLength
+    );
+}
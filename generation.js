@@ -0,0 +1,226 @@
+import { randomElement, randomInt, randomWeighted } from "./random.js";
+import { difficultyAt, isRestRow } from "./difficulty.js";
+
+// Rows are described in tile space: a vehicle's position is the tile its
+// centre is on (fractional while it drives) and speeds are tiles per second.
+export const minTileIndex = -8;
+export const maxTileIndex = 8;
+
+// Vehicles leave the row this many tiles past the edge and come back on the other side
+export const beginningOfRow = minTileIndex - 2;
+export const endOfRow = maxTileIndex + 2;
+
+// Trains are far longer than anything else on the map, in tiles
+export const trainLength = 10;
+
+// Footprint of each kind of vehicle in tiles: length along the row, width
+// across it. Every vehicle carries its own copy, collisions read it there.
+export const vehicleSizes = {
+    car: { length: 1.43, width: 0.71 },
+    truck: { length: 2.38, width: 0.83 },
+    train: { length: trainLength, width: 0.81 },
+};
+
+// Logs drift this far past the edges before looping round, far enough
+// that even the longest log is out of sight when it jumps
+export const beginningOfRiver = minTileIndex - 4;
+export const endOfRiver = maxTileIndex + 4;
+
+// startRow is the index of the first new row, previousRows the rows just
+// before it so runs of road can carry on across batches
+export function generateRows(amount, random, startRow = 1, previousRows = []) {
+    let roadRun = 0;
+    for (const rowData of [...previousRows].reverse()) {
+        if (!isRoad(rowData)) break;
+        roadRun++;
+    }
+
+    const rows = [];
+    for (let i = 0; i < amount; i++) {
+        const rowData = generateRow(random, startRow + i, roadRun);
+        rowData.coins = generateCoins(random, rowData, startRow + i);
+        roadRun = isRoad(rowData) ? roadRun + 1 : 0;
+        rows.push(rowData);
+    }
+    return rows;
+}
+
+function isRoad(rowData) {
+    return ["car", "truck", "train"].includes(rowData.type);
+}
+
+function generateRow(random, rowIndex, roadRun) {
+    const settings = difficultyAt(rowIndex);
+    if (isRestRow(rowIndex)) return generateForesMetadata(random, settings.restTrees);
+
+    const type = randomLaneType(random, settings, roadRun);
+    if (type === "car") return generateCarLaneMetadata(random, settings);
+    if (type === "truck") return generateTruckLaneMetadata(random, settings);
+    if (type === "train") return generateTrainLaneMetadata(random, settings);
+    if (type === "river") return generateRiverMetadata(random, settings);
+    return generateForesMetadata(random, Math.round(settings.treesPerRow));
+}
+
+// Coins go on a tile the player can stand on: anywhere but under a tree,
+// and never on the water where they would have to float
+function generateCoins(random, rowData, rowIndex) {
+    if (rowData.type === "river") return [];
+    if (random() >= difficultyAt(rowIndex).coinChance) return [];
+
+    const freeTiles = [];
+    for (let tileIndex = minTileIndex; tileIndex <= maxTileIndex; tileIndex++) {
+        if (!rowData.trees?.some((tree) => tree.tileIndex === tileIndex)) {
+            freeTiles.push(tileIndex);
+        }
+    }
+
+    return [{ tileIndex: randomElement(random, freeTiles), collected: false }];
+}
+
+function randomLaneType(random, settings, roadRun) {
+    const weights = { ...settings.laneWeights };
+
+    if (roadRun >= Math.round(settings.maxRoadRun)) {
+        weights.car = weights.truck = weights.train = 0;
+    } else if (roadRun > 0 && random() < settings.roadRunChance) {
+        weights.forest = weights.river = 0;
+    }
+
+    return randomWeighted(random, weights);
+}
+
+function randomLaneSpeed(random, settings) {
+    return randomElement(random, settings.laneSpeeds) * settings.speedScale;
+}
+
+// Vehicles in the same lane may drive a little faster or slower than it
+function randomVehicleSpeed(random, laneSpeed, settings) {
+    return laneSpeed * (1 + (random() * 2 - 1) * settings.speedSpread);
+}
+
+function generateForesMetadata(random, treeCount) {
+    const occupiedTiles = new Set();
+    const trees = Array.from({ length: treeCount }, () => {
+        let tileIndex;
+        do {
+            tileIndex = randomInt(random, minTileIndex, maxTileIndex);
+        } while (occupiedTiles.has(tileIndex));
+        occupiedTiles.add(tileIndex);
+
+        const height = randomElement(random, [20, 45, 60]);
+
+        return { tileIndex, height };
+    });
+
+    return { type: "forest", trees };
+}
+
+function generateCarLaneMetadata(random, settings) {
+    const direction = randomElement(random, [true, false]);
+    const speed = randomLaneSpeed(random, settings);
+
+    const occupiedTiles = new Set();
+
+    const vehicles = Array.from({ length: Math.round(settings.carsPerLane) }, () => {
+        let initialTileIndex;
+        do {
+            initialTileIndex = randomInt(random, minTileIndex, maxTileIndex);
+        } while (occupiedTiles.has(initialTileIndex));
+        occupiedTiles.add(initialTileIndex - 1);
+        occupiedTiles.add(initialTileIndex);
+        occupiedTiles.add(initialTileIndex + 1);
+
+        const color = randomElement(random, [0xa52523, 0xbdb638, 0x78b14b]);
+        const vehicleSpeed = randomVehicleSpeed(random, speed, settings);
+
+        return {
+            initialTileIndex,
+            position: initialTileIndex,
+            speed: vehicleSpeed,
+            color,
+            ...vehicleSizes.car,
+        };
+    });
+
+    return { type: "car", direction, speed, vehicles };
+}
+
+function generateTruckLaneMetadata(random, settings) {
+    const direction = randomElement(random, [true, false]);
+    const speed = randomLaneSpeed(random, settings);
+
+    const occupiedTiles = new Set();
+
+    const vehicles = Array.from({ length: Math.round(settings.trucksPerLane) }, () => {
+        let initialTileIndex;
+        do {
+            initialTileIndex = randomInt(random, minTileIndex, maxTileIndex);
+        } while (occupiedTiles.has(initialTileIndex));
+        occupiedTiles.add(initialTileIndex - 2);
+        occupiedTiles.add(initialTileIndex - 1);
+        occupiedTiles.add(initialTileIndex);
+        occupiedTiles.add(initialTileIndex + 1);
+        occupiedTiles.add(initialTileIndex + 2);
+
+        const color = randomElement(random, [0xa52523, 0xbdb638, 0x78b14b]);
+        const vehicleSpeed = randomVehicleSpeed(random, speed, settings);
+
+        return {
+            initialTileIndex,
+            position: initialTileIndex,
+            speed: vehicleSpeed,
+            color,
+            ...vehicleSizes.truck,
+        };
+    });
+
+    return { type: "truck", direction, speed, vehicles };
+}
+
+function generateTrainLaneMetadata(random, settings) {
+    const direction = randomElement(random, [true, false]);
+    const speed = randomElement(random, settings.trainSpeeds) * settings.speedScale;
+
+    // Seconds between one train leaving and the signal warning about the
+    // next, used in turn so the schedule is part of the seed
+    const gaps = Array.from({ length: 4 }, () =>
+        randomInt(random, Math.round(settings.trainGapMin), Math.round(settings.trainGapMax))
+    );
+
+    // The train waits just out of sight on the side it comes in from
+    const position = direction
+        ? beginningOfRow - trainLength / 2
+        : endOfRow + trainLength / 2;
+
+    return {
+        type: "train",
+        direction,
+        speed,
+        vehicles: [{ initialTileIndex: position, position, ...vehicleSizes.train }],
+        gaps,
+        nextGap: 1,
+        warningTime: 1.5,
+        phase: "waiting", // Then "warning" while the signal flashes, then "passing"
+        timer: randomInt(random, 1, gaps[0]), // Seconds left in this phase
+    };
+}
+
+function generateRiverMetadata(random, settings) {
+    const direction = randomElement(random, [true, false]);
+    const speed = randomElement(random, [1.2, 1.6, 2]) * settings.speedScale;
+
+    // Lay the logs out one after another so they never overlap, even after
+    // they loop round: three of the longest with the widest gaps still fit
+    let end = beginningOfRiver + randomInt(random, 0, 2);
+    const logs = Array.from({ length: 3 }, () => {
+        const gap = randomInt(random, 1, 3);
+        const length = randomElement(random, [2, 3, 4]);
+
+        const position = end + gap + length / 2;
+        end = position + length / 2;
+
+        return { position, length };
+    });
+
+    return { type: "river", direction, speed, logs };
+}
@@ -0,0 +1,33 @@
+// The personal best, raced against as a ghost. The best run is kept as a
+// replay, and racing it plays that replay on a game of its own, a tick at
+// a time alongside the real one. The ghost's game never looks at the
+// player's, so it can't block or kill anyone.
+import { createGame } from "./core.js";
+import { createPlayback, parseReplay } from "./replay.js";
+
+const storageKey = "gallinavr.ghost";
+
+export function loadGhostRun() {
+    try {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? parseReplay(saved) : null;
+    } catch {
+        return null; // Broken save, no ghost until the next best
+    }
+}
+
+export function saveGhostRun(replay) {
+    localStorage.setItem(storageKey, JSON.stringify(replay));
+}
+
+export function createGhost(replay) {
+    const game = createGame();
+    const playback = createPlayback(game, replay);
+
+    // Catch up with the player's game, call after every advance()
+    function follow(tick) {
+        playback.seek(tick);
+    }
+
+    return { game, follow };
+}
@@ -0,0 +1,258 @@
+// Score and game-over panel drawn into the scene for VR, where the DOM
+// overlay can't be seen. Sizes are in metres of the XR reference space.
+import * as THREE from "https://esm.sh/three";
+
+const pixelsPerMetre = 1024;
+
+// A flat mesh showing a canvas, call redraw() after changing what draw paints
+function TextPanel(width, height, draw) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * pixelsPerMetre;
+    canvas.height = height * pixelsPerMetre;
+    const context = canvas.getContext("2d");
+    const texture = new THREE.CanvasTexture(canvas);
+
+    const panel = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false })
+    );
+    // Always drawn over the world so the map never hides it
+    panel.renderOrder = 10;
+
+    panel.redraw = () => {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        draw(context, canvas.width, canvas.height);
+        texture.needsUpdate = true;
+    };
+    panel.redraw();
+
+    return panel;
+}
+
+function roundedRect(context, x, y, width, height, radius, color) {
+    context.fillStyle = color;
+    context.beginPath();
+    context.roundRect(x, y, width, height, radius);
+    context.fill();
+}
+
+export function createHUD(camera) {
+    const state = {
+        score: 0,
+        best: 0,
+        coins: 0,
+        totalCoins: 0,
+        seed: "",
+        cause: "",
+        warning: null,
+        ghost: null, // Rows ahead of the ghost, null when not racing one
+        newBest: false,
+        leaderboardTitle: "Leaderboard", // "Standings" in an online race
+        leaderboard: [], // { name, score } entries, best first
+        rank: -1, // Place of the last run on the leaderboard
+        retryHovered: false,
+    };
+
+    // Score in the top left of the view, it moves with the head
+    const scorePanel = TextPanel(0.36, 0.12, (context, width, height) => {
+        roundedRect(context, 0, 0, width, height, 24, "rgba(0, 0, 0, 0.5)");
+        context.fillStyle = "white";
+        context.font = "bold 64px sans-serif";
+        context.textBaseline = "middle";
+        context.fillText(`${state.score}`, 24, height * 0.38);
+        context.font = "32px sans-serif";
+        context.fillText(`Best ${state.best}`, 24, height * 0.8);
+        context.fillStyle = "#facc15";
+        context.textAlign = "right";
+        context.font = "bold 40px sans-serif";
+        context.fillText(`\u25CF ${state.coins}`, width - 24, height * 0.38);
+        if (state.ghost !== null) {
+            context.fillStyle = state.ghost < 0 ? "#f87171" : "#34d399";
+            context.font = "32px sans-serif";
+            const sign = state.ghost > 0 ? "+" : "";
+            context.fillText(`Ghost ${sign}${state.ghost}`, width - 24, height * 0.8);
+        }
+    });
+    scorePanel.position.set(-0.3, 0.22, -1);
+    scorePanel.visible = false;
+    camera.add(scorePanel);
+
+    // Warnings sit in the middle of the view, just above where the player looks
+    const warningPanel = TextPanel(0.5, 0.1, (context, width, height) => {
+        if (!state.warning) return;
+        roundedRect(context, 0, 0, width, height, 24, "rgba(185, 28, 28, 0.85)");
+        context.fillStyle = "white";
+        context.font = "bold 56px sans-serif";
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(state.warning, width / 2, height / 2);
+    });
+    warningPanel.position.set(0, 0.2, -1);
+    warningPanel.visible = false;
+    camera.add(warningPanel);
+
+    // The game-over panel stays where it appeared so it can be aimed at
+    const resultPanel = TextPanel(0.8, 0.5, (context, width) => {
+        roundedRect(context, 0, 0, width, 512, 40, "rgba(0, 0, 0, 0.8)");
+        context.fillStyle = "#fca311";
+        context.font = "bold 110px sans-serif";
+        context.textAlign = "center";
+        context.fillText(state.newBest ? "New best!" : "Game Over", width / 2, 120);
+        context.fillStyle = "white";
+        context.font = "40px sans-serif";
+        context.fillText(state.cause, width / 2, 180);
+        context.font = "56px sans-serif";
+        context.fillText(`Score ${state.score}   Best ${state.best}`, width / 2, 250);
+        context.font = "36px sans-serif";
+        context.fillText(`Coins ${state.coins}   Total ${state.totalCoins}`, width / 2, 300);
+        context.fillText(`Seed ${state.seed}`, width / 2, 345);
+    });
+    resultPanel.visible = false;
+
+    const retryButton = TextPanel(0.3, 0.1, (context, width, height) => {
+        roundedRect(context, 0, 0, width, height, 24, state.retryHovered ? "#059669" : "#10b981");
+        context.fillStyle = "white";
+        context.font = "bold 56px sans-serif";
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText("Retry", width / 2, height / 2);
+    });
+    retryButton.position.set(0, -0.16, 0.001);
+    retryButton.renderOrder = 11;
+    resultPanel.add(retryButton);
+
+    // Beside the game-over panel
+    const leaderboardPanel = TextPanel(0.45, 0.5, (context, width, height) => {
+        roundedRect(context, 0, 0, width, height, 40, "rgba(0, 0, 0, 0.8)");
+        context.fillStyle = "#fca311";
+        context.font = "bold 56px sans-serif";
+        context.textAlign = "center";
+        context.fillText(state.leaderboardTitle, width / 2, 70);
+
+        context.font = "32px sans-serif";
+        state.leaderboard.forEach(({ name, score }, index) => {
+            const y = 120 + index * 38;
+            context.fillStyle = index === state.rank ? "#facc15" : "white";
+            context.textAlign = "left";
+            context.fillText(`${index + 1}. ${name}`, 30, y);
+            context.textAlign = "right";
+            context.fillText(`${score}`, width - 30, y);
+        });
+    });
+    leaderboardPanel.position.set(0.65, 0, 0);
+    resultPanel.add(leaderboardPanel);
+
+    const raycaster = new THREE.Raycaster();
+    const rotation = new THREE.Matrix4();
+
+    function setScore(score, best) {
+        if (score === state.score && best === state.best) return;
+        state.score = score;
+        state.best = best;
+        scorePanel.redraw();
+    }
+
+    function setCoins(coins) {
+        if (coins === state.coins) return;
+        state.coins = coins;
+        scorePanel.redraw();
+    }
+
+    function setGhost(rowsAhead) {
+        if (rowsAhead === state.ghost) return;
+        state.ghost = rowsAhead;
+        scorePanel.redraw();
+    }
+
+    // text, or null to take the warning down
+    function setWarning(text) {
+        if (text === state.warning) return;
+        state.warning = text;
+        warningPanel.redraw();
+    }
+
+    function showGameOver({
+        score,
+        best,
+        seed,
+        cause = "",
+        coins = 0,
+        totalCoins = 0,
+        newBest = false,
+        leaderboard = [],
+        leaderboardTitle = "Leaderboard",
+        rank = -1,
+    }) {
+        state.score = score;
+        state.best = best;
+        state.coins = coins;
+        state.totalCoins = totalCoins;
+        state.newBest = newBest;
+        state.leaderboard = leaderboard;
+        state.leaderboardTitle = leaderboardTitle;
+        state.rank = rank;
+        state.seed = seed;
+        state.cause = cause;
+        scorePanel.redraw();
+        resultPanel.redraw();
+        leaderboardPanel.redraw();
+
+        // Put the panel a metre and a half in front of wherever the player looks
+        const parent = camera.parent;
+        if (resultPanel.parent !== parent) parent.add(resultPanel);
+
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        forward.y = 0;
+        forward.normalize();
+        resultPanel.position.copy(camera.position).addScaledVector(forward, 1.5);
+        resultPanel.lookAt(camera.position.x, resultPanel.position.y, camera.position.z);
+        resultPanel.visible = true;
+    }
+
+    // Online standings change while the result is up
+    function setLeaderboard(leaderboard, rank) {
+        state.leaderboard = leaderboard;
+        state.rank = rank;
+        leaderboardPanel.redraw();
+    }
+
+    function hideGameOver() {
+        resultPanel.visible = false;
+    }
+
+    function pointsAtRetry(controller) {
+        if (!resultPanel.visible) return false;
+
+        rotation.identity().extractRotation(controller.matrixWorld);
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+
+        return raycaster.intersectObject(retryButton, false).length > 0;
+    }
+
+    // Call every frame with the XR controllers to show the panel only in
+    // VR and light up Retry while a ray points at it
+    function update(isPresenting, controllers) {
+        scorePanel.visible = isPresenting;
+        warningPanel.visible = isPresenting && Boolean(state.warning);
+        if (!isPresenting) resultPanel.visible = false;
+
+        const hovered = controllers.some(pointsAtRetry);
+        if (hovered !== state.retryHovered) {
+            state.retryHovered = hovered;
+            retryButton.redraw();
+        }
+    }
+
+    return {
+        setScore,
+        setCoins,
+        setGhost,
+        setWarning,
+        showGameOver,
+        setLeaderboard,
+        hideGameOver,
+        pointsAtRetry,
+        update,
+    };
+}
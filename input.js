@@ -0,0 +1,241 @@
+// Keyboard, gamepad, touch and on-screen buttons, all turned into the same
+// intents: "forward", "backward", "left", "right", "confirm" and "pause".
+// Keys and gamepad buttons can be rebound, the bindings are kept in
+// localStorage.
+//
+// Every intent comes with the player it is for: 1 for the "p2-" keys and
+// for any gamepad but the first, 0 for everything else.
+const storageKey = "gallinavr.bindings";
+const playerTwoPrefix = "p2-";
+
+export const intents = [
+    "forward",
+    "backward",
+    "left",
+    "right",
+    "confirm",
+    "pause",
+    "p2-forward",
+    "p2-backward",
+    "p2-left",
+    "p2-right",
+];
+
+// Keys are KeyboardEvent.code values, buttons are indexes in the standard
+// gamepad mapping
+export const defaultBindings = {
+    forward: { keys: ["KeyW"], buttons: [12] },
+    backward: { keys: ["KeyS"], buttons: [13] },
+    left: { keys: ["KeyA"], buttons: [14] },
+    right: { keys: ["KeyD"], buttons: [15] },
+    confirm: { keys: ["Enter", "Space"], buttons: [0] },
+    pause: { keys: ["Escape", "KeyP"], buttons: [9] },
+    // Gamepads take the player's buttons above, whichever player they are for
+    "p2-forward": { keys: ["ArrowUp"], buttons: [] },
+    "p2-backward": { keys: ["ArrowDown"], buttons: [] },
+    "p2-left": { keys: ["ArrowLeft"], buttons: [] },
+    "p2-right": { keys: ["ArrowRight"], buttons: [] },
+};
+
+export const inputConfig = {
+    // Stick travel below which a gamepad stick counts as centred, and the
+    // travel a push has to reach to count as a hop
+    deadZone: 0.3,
+    pushThreshold: 0.7,
+    // A touch that moves less than this many pixels is a tap
+    swipeDistance: 30,
+};
+
+export function createInput(element, { onIntent }) {
+    const bindings = loadBindings();
+    const pressedButtons = new Map(); // Gamepad index -> set of held buttons
+    const stickDirections = new Map(); // Gamepad index -> direction held on the stick
+    let capture = null; // Intent waiting for a key or button to bind to it
+    let touchStart = null;
+
+    // The on-screen buttons are named after the way they hop
+    intents.forEach((intent) => {
+        document.getElementById(intent)?.addEventListener("click", () => emit(intent));
+    });
+
+    window.addEventListener("keydown", (event) => {
+        if (capture) {
+            event.preventDefault();
+            if (event.code === "Escape") cancelCapture();
+            else bind(capture.intent, { key: event.code });
+            return;
+        }
+
+        // Typing a seed shouldn't make the chicken hop
+        if (event.target instanceof HTMLInputElement) return;
+
+        const intent = intentFor("keys", event.code);
+        if (!intent) return;
+
+        event.preventDefault();
+        // Holding a key down would otherwise hop once per auto-repeat
+        if (event.repeat) return;
+        emit(intent);
+    });
+
+    // Swipe to hop that way, tap to hop forward
+    element.addEventListener("touchstart", (event) => {
+        const touch = event.changedTouches[0];
+        touchStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+
+    element.addEventListener("touchend", (event) => {
+        if (!touchStart) return;
+
+        const touch = event.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+
+        if (Math.hypot(dx, dy) < inputConfig.swipeDistance) {
+            emit("forward");
+            return;
+        }
+
+        // Up on the screen is forward
+        if (Math.abs(dx) > Math.abs(dy)) emit(dx > 0 ? "right" : "left");
+        else emit(dy < 0 ? "forward" : "backward");
+    });
+
+    function emit(intent, player = 0) {
+        if (intent.startsWith(playerTwoPrefix)) onIntent(intent.slice(playerTwoPrefix.length), 1);
+        else onIntent(intent, player);
+    }
+
+    // The first gamepad connected plays as player one, any other as player two
+    function playerFor(gamepad) {
+        const first = [...(navigator.getGamepads?.() ?? [])].find(Boolean);
+        return gamepad.index === first?.index ? 0 : 1;
+    }
+
+    // Gamepads can only be polled, call this once per frame
+    function update() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+        for (const gamepad of gamepads) {
+            if (!gamepad) continue;
+            updateButtons(gamepad);
+            updateStick(gamepad);
+        }
+    }
+
+    function updateButtons(gamepad) {
+        const previous = pressedButtons.get(gamepad.index) ?? new Set();
+        const pressed = new Set();
+
+        gamepad.buttons.forEach((button, index) => {
+            if (!button.pressed) return;
+            pressed.add(index);
+            if (previous.has(index)) return;
+
+            if (capture) {
+                bind(capture.intent, { button: index });
+                return;
+            }
+
+            const intent = intentFor("buttons", index);
+            if (intent) emit(intent, playerFor(gamepad));
+        });
+
+        pressedButtons.set(gamepad.index, pressed);
+    }
+
+    // Like a d-pad: one hop per push, the stick has to come back to the
+    // middle before it hops again
+    function updateStick(gamepad) {
+        const [x = 0, y = 0] = gamepad.axes;
+        const held = stickDirections.get(gamepad.index);
+
+        if (Math.hypot(x, y) < inputConfig.deadZone) {
+            stickDirections.delete(gamepad.index);
+            return;
+        }
+        if (held || Math.max(Math.abs(x), Math.abs(y)) < inputConfig.pushThreshold) return;
+
+        let direction;
+        if (Math.abs(x) > Math.abs(y)) direction = x > 0 ? "right" : "left";
+        else direction = y < 0 ? "forward" : "backward";
+
+        stickDirections.set(gamepad.index, direction);
+        emit(direction, playerFor(gamepad));
+    }
+
+    function intentFor(kind, value) {
+        return intents.find((intent) => bindings[intent][kind].includes(value));
+    }
+
+    // The next key or gamepad button pressed becomes the first binding for
+    // intent, onBound is called once it has been picked
+    function captureBinding(intent, onBound) {
+        capture = { intent, onBound };
+    }
+
+    function cancelCapture() {
+        const { onBound } = capture;
+        capture = null;
+        onBound?.();
+    }
+
+    function bind(intent, { key, button }) {
+        const kind = key !== undefined ? "keys" : "buttons";
+        const value = key !== undefined ? key : button;
+
+        // A key or button can only do one thing
+        intents.forEach((other) => {
+            bindings[other][kind] = bindings[other][kind].filter((bound) => bound !== value);
+        });
+        bindings[intent][kind].unshift(value);
+        saveBindings(bindings);
+
+        const { onBound } = capture ?? {};
+        capture = null;
+        onBound?.();
+    }
+
+    function resetBindings() {
+        intents.forEach((intent) => {
+            bindings[intent] = structuredClone(defaultBindings[intent]);
+        });
+        saveBindings(bindings);
+    }
+
+    return { bindings, update, captureBinding, resetBindings };
+}
+
+function loadBindings() {
+    const bindings = structuredClone(defaultBindings);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(storageKey) ?? "{}");
+        intents.forEach((intent) => {
+            if (Array.isArray(saved[intent]?.keys)) bindings[intent].keys = saved[intent].keys;
+            if (Array.isArray(saved[intent]?.buttons)) bindings[intent].buttons = saved[intent].buttons;
+        });
+
+        // Intents added since the save keep their defaults, minus any key
+        // or button the save already uses for something else
+        const savedIntents = intents.filter((intent) => saved[intent]);
+        intents
+            .filter((intent) => !saved[intent])
+            .forEach((intent) => {
+                ["keys", "buttons"].forEach((kind) => {
+                    bindings[intent][kind] = bindings[intent][kind].filter(
+                        (value) => !savedIntents.some((other) => bindings[other][kind].includes(value))
+                    );
+                });
+            });
+    } catch {
+        // Broken save, stick with the defaults
+    }
+
+    return bindings;
+}
+
+function saveBindings(bindings) {
+    localStorage.setItem(storageKey, JSON.stringify(bindings));
+}
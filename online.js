@@ -0,0 +1,191 @@
+// Online races through the relay in server/relay.mjs. The relay only
+// passes messages along, every browser runs the whole race: its own
+// player in the main game, and each remote player as a ghost fed with
+// that player's moves as they come in. Ghosts never touch the main game,
+// so remote chickens can't collide with anyone.
+import { gameVersion, tickTime } from "./core.js";
+import { createGhost } from "./ghost.js";
+
+export const onlineConfig = {
+    // Remote chickens are drawn this many seconds behind the race clock,
+    // so their moves have time to arrive before they are due
+    remoteDelay: 0.25,
+    // Seconds between pings, and without hearing back before giving up
+    pingInterval: 2,
+    timeout: 8,
+};
+
+// Callbacks:
+//   onLobby(players, ownId)            players in the room, { id, name, skin, ready }
+//   onStart(race)                      everyone is ready, see race below
+//   onRemoteLeft(id)                   a remote player went away mid-race
+//   onStandings(standings, final)      { id, name, row, cause }, row null while running
+//   onClosed(reason)                   "closed" or "timeout"
+//   onError(message)                   the relay turned something down
+export function createOnline(callbacks) {
+    let socket = null;
+    let ownId = null;
+    let lastHeard = 0;
+    let pingTimer = null;
+
+    // The race being run: its seed, the performance.now() it starts at
+    // and the remote players, keyed by their id
+    let race = null;
+
+    function connect(url, { room, name, skin }) {
+        leave();
+
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            callbacks.onError?.(error.message);
+            return;
+        }
+
+        const current = socket;
+        current.addEventListener("open", () => {
+            lastHeard = performance.now();
+            send({ type: "join", room, name, skin });
+            pingTimer = setInterval(heartbeat, onlineConfig.pingInterval * 1000);
+        });
+        current.addEventListener("message", (event) => {
+            if (current !== socket) return;
+            try {
+                receive(JSON.parse(event.data));
+            } catch {
+                // Not a message we understand
+            }
+        });
+        current.addEventListener("close", () => {
+            if (current === socket) disconnected("closed");
+        });
+    }
+
+    function heartbeat() {
+        if (performance.now() - lastHeard > onlineConfig.timeout * 1000) {
+            disconnected("timeout");
+            return;
+        }
+        send({ type: "ping" });
+    }
+
+    function disconnected(reason) {
+        const wasOpen = socket !== null;
+        stop();
+        if (wasOpen) callbacks.onClosed?.(reason);
+    }
+
+    // Forget the connection and the race without telling anyone
+    function stop() {
+        clearInterval(pingTimer);
+        pingTimer = null;
+        socket?.close();
+        socket = null;
+        ownId = null;
+        race = null;
+    }
+
+    function send(message) {
+        if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    }
+
+    function receive(message) {
+        lastHeard = performance.now();
+
+        if (message.type === "joined") ownId = message.id;
+        if (message.type === "lobby") callbacks.onLobby?.(message.players, ownId);
+        if (message.type === "error") callbacks.onError?.(message.message);
+        if (message.type === "start") startRace(message);
+        if (message.type === "move") addMove(message);
+        if (message.type === "standings") {
+            callbacks.onStandings?.(message.standings, message.final);
+            if (message.final) race = null;
+        }
+
+        if (message.type === "left" && race?.remotes.has(message.id)) {
+            race.remotes.delete(message.id);
+            callbacks.onRemoteLeft?.(message.id);
+        }
+    }
+
+    // The relay's clock picks the start, this turns it into ours
+    function startRace({ seed, startAt, serverTime, players }) {
+        const remotes = new Map();
+        players
+            .filter((player) => player.id !== ownId)
+            .forEach((player) => {
+                const replay = {
+                    version: gameVersion,
+                    seed,
+                    players: 1,
+                    ticks: Infinity, // Runs until the player is out
+                    moves: [],
+                };
+                remotes.set(player.id, { ...player, replay, ghost: createGhost(replay) });
+            });
+
+        race = { seed, startTime: performance.now() + (startAt - serverTime), remotes };
+        callbacks.onStart?.(race);
+    }
+
+    // Moves from one player arrive in order. One that turns up after its
+    // ghost has already gone past its tick means playing that ghost again
+    // from the start, which update() does in one go.
+    function addMove({ id, tick, direction }) {
+        const remote = race?.remotes.get(id);
+        if (!remote) return;
+
+        remote.replay.moves.push([tick, direction]);
+        if (tick < remote.ghost.game.tick) remote.ghost = createGhost(remote.replay);
+    }
+
+    // Seconds since the race started, negative during the countdown
+    function raceTime() {
+        return race ? (performance.now() - race.startTime) / 1000 : 0;
+    }
+
+    // Call once per frame to bring the remote chickens up to date
+    function update() {
+        if (!race) return;
+
+        const tick = Math.max(0, Math.floor((raceTime() - onlineConfig.remoteDelay) / tickTime));
+        race.remotes.forEach((remote) => remote.ghost.follow(tick));
+    }
+
+    function setReady(ready) {
+        send({ type: "ready", ready });
+    }
+
+    function sendMove(tick, direction) {
+        if (race) send({ type: "move", tick, direction });
+    }
+
+    function sendDied({ tick, row, cause }) {
+        if (race) send({ type: "died", tick, row, cause });
+    }
+
+    function leave() {
+        send({ type: "leave" });
+        stop();
+    }
+
+    function isConnected() {
+        return socket !== null;
+    }
+
+    function getRace() {
+        return race;
+    }
+
+    return {
+        connect,
+        setReady,
+        sendMove,
+        sendDied,
+        update,
+        leave,
+        raceTime,
+        isConnected,
+        getRace,
+    };
+}
@@ -0,0 +1,61 @@
+// Seeded random numbers for world generation.
+// The same seed always produces the same sequence, so a course can be
+// replayed or shared just by passing its seed around.
+
+// Turns any string into a 32 bit integer to start the generator from
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Mulberry32, returns a function that behaves like Math.random
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for a normal run, short enough to read out loud
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6)
+        .toString(36)
+        .padStart(6, "0");
+}
+
+// Everyone playing on the same (UTC) day gets the same course
+export function dailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+export function randomElement(random, array) {
+    return array[Math.floor(random() * array.length)];
+}
+
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+// Picks a key of weights, each as likely as its weight
+export function randomWeighted(random, weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
@@ -0,0 +1,162 @@
+// Recording runs and playing them back. The core is deterministic, so a
+// run is nothing more than its seed and the tick every move was asked for
+// on: feeding the same moves in on the same ticks plays the same run.
+//
+// A replay file looks like
+//   { "game": "gallinavr", "version": 1, "seed": "abc", "players": 1,
+//     "ticks": 900, "moves": [[0, "forward"], [31, "left", 1], ...] }
+// where ticks is how long the run lasted, version is the core's
+// gameVersion when it was recorded and a move's third entry is the player
+// who made it, left out for the first player.
+import { gameVersion, tickTime } from "./core.js";
+
+const fileTag = "gallinavr";
+const directions = ["forward", "backward", "left", "right"];
+
+export const playbackSpeeds = [0.5, 1, 2];
+
+// Keeps a recording of whatever the game is playing, from its last reset
+export function createRecorder(game) {
+    let seed = "";
+    let players = 1;
+    let moves = [];
+
+    game.on("reset", (data) => {
+        seed = data.seed;
+        players = data.players;
+        moves = [];
+    });
+    game.on("moveQueued", ({ direction, tick, player }) =>
+        moves.push(player ? [tick, direction, player] : [tick, direction])
+    );
+
+    // The run so far, ready to save
+    function current() {
+        return {
+            game: fileTag,
+            version: gameVersion,
+            seed,
+            players,
+            ticks: game.tick,
+            moves: moves.slice(),
+        };
+    }
+
+    return { current };
+}
+
+export function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `gallinavr-${replay.seed}-${replay.ticks}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Throws if text isn't a replay file
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+
+    if (
+        replay?.game !== fileTag ||
+        typeof replay.seed !== "string" ||
+        !Number.isInteger(replay.ticks) ||
+        !Array.isArray(replay.moves)
+    ) {
+        throw new Error("Not a replay file");
+    }
+
+    replay.players ??= 1;
+    if (replay.players !== 1 && replay.players !== 2) {
+        throw new Error("A replay is for one or two players");
+    }
+    if (!replay.moves.every((move) => isMove(move, replay.players))) {
+        throw new Error("The replay has a broken move");
+    }
+    return replay;
+}
+
+// [tick, direction] or [tick, direction, player]
+function isMove(move, players) {
+    if (!Array.isArray(move) || move.length < 2 || move.length > 3) return false;
+
+    const [tick, direction, player = 0] = move;
+    return (
+        Number.isInteger(tick) &&
+        tick >= 0 &&
+        directions.includes(direction) &&
+        Number.isInteger(player) &&
+        player >= 0 &&
+        player < players
+    );
+}
+
+// Plays replay on game. Going back means starting over from the seed and
+// simulating up to the tick wanted, which is quick since nothing is drawn
+// in between.
+export function createPlayback(game, replay) {
+    let nextMove = 0; // Index of the first move not fed in yet
+    let speed = 1;
+    let paused = false;
+
+    game.reset(replay.seed, replay.players);
+
+    // A move asked for on tick t was queued after t ticks had run
+    function stepTick() {
+        const { moves } = replay;
+        while (nextMove < moves.length && moves[nextMove][0] <= game.tick) {
+            const [, direction, player = 0] = moves[nextMove];
+            game.queueMove(direction, player);
+            nextMove++;
+        }
+        game.step(tickTime);
+    }
+
+    function finished() {
+        return game.tick >= replay.ticks || !game.alive;
+    }
+
+    // Call once per frame, returns the alpha to draw with like advance()
+    function update(delta) {
+        if (paused || finished()) return 0;
+
+        // Capped like advance() does, so a hitch doesn't run away at 2x
+        game.accumulator += Math.min(delta * speed, 0.25);
+        while (game.accumulator >= tickTime && !finished()) {
+            stepTick();
+            game.accumulator -= tickTime;
+        }
+        return finished() ? 0 : game.accumulator / tickTime;
+    }
+
+    function seek(tick) {
+        if (tick < game.tick) {
+            game.reset(replay.seed, replay.players);
+            nextMove = 0;
+        }
+        while (game.tick < tick && !finished()) stepTick();
+        game.accumulator = 0;
+    }
+
+    function setSpeed(value) {
+        speed = value;
+    }
+
+    function getSpeed() {
+        return speed;
+    }
+
+    function setPaused(value) {
+        paused = value;
+    }
+
+    function isPaused() {
+        return paused;
+    }
+
+    // Recorded by another version, the run may not play out the same
+    const outdated = replay.version !== gameVersion;
+
+    return { replay, outdated, update, seek, setSpeed, getSpeed, setPaused, isPaused, finished };
+}
@@ -0,0 +1,42 @@
+// Rows and characters repeat the same few props over and over, so each
+// geometry and material is built once and shared by every mesh that uses
+// it. None of it is ever disposed, it stays around for the next mesh.
+import * as THREE from "https://esm.sh/three";
+
+const sharedResources = new Map();
+
+export function shared(key, create) {
+    if (!sharedResources.has(key)) sharedResources.set(key, create());
+    return sharedResources.get(key);
+}
+
+export function boxGeometry(width, height, depth) {
+    return shared(`box ${width} ${height} ${depth}`, () =>
+        new THREE.BoxGeometry(width, height, depth)
+    );
+}
+
+export function planeGeometry(width, height) {
+    return shared(`plane ${width} ${height}`, () =>
+        new THREE.PlaneGeometry(width, height)
+    );
+}
+
+// Textures are told apart by their uuid, everything else by value
+function materialKey(parameters) {
+    return JSON.stringify(parameters, (name, value) =>
+        name === "map" ? value.uuid : value
+    );
+}
+
+export function lambertMaterial(parameters) {
+    return shared(`lambert ${materialKey(parameters)}`, () =>
+        new THREE.MeshLambertMaterial(parameters)
+    );
+}
+
+export function phongMaterial(parameters) {
+    return shared(`phong ${materialKey(parameters)}`, () =>
+        new THREE.MeshPhongMaterial(parameters)
+    );
+}
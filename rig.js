@@ -0,0 +1,80 @@
+// Carries the XR camera, controllers and hands around the map. The game
+// world is z-up with rows running along +y, while XR is y-up and looks
+// down -z, so the rig is turned to match and scaled so one metre in the
+// room covers the right amount of map.
+import * as THREE from "https://esm.sh/three";
+
+export const viewModes = {
+    // The map as a model on a table, the chicken half a metre in front of
+    // the player at about waist height
+    diorama: { scale: 600, anchor: new THREE.Vector3(0, 0.9, -0.5) },
+    // Standing where the chicken stands, eyes about as high as its head
+    chicken: { scale: 12, anchor: new THREE.Vector3(0, 0, 0) },
+};
+
+// How quickly the rig catches up with the player, higher is snappier
+const followSharpness = 6;
+
+export function createRig(initialMode = "diorama") {
+    const group = new THREE.Group();
+    group.rotation.x = Math.PI / 2;
+
+    const goal = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+    let mode = initialMode in viewModes ? initialMode : "diorama";
+    let recenterPending = false;
+
+    function setMode(newMode, target) {
+        mode = newMode;
+        if (target) follow(target, 0, true);
+    }
+
+    function getMode() {
+        return mode;
+    }
+
+    // Moves the rig so its anchor point ends up on target, a world position
+    function follow(target, delta, snap = false) {
+        const { scale, anchor } = viewModes[mode];
+        group.scale.setScalar(scale);
+
+        offset.copy(anchor).multiplyScalar(scale).applyQuaternion(group.quaternion);
+        goal.copy(target).sub(offset);
+
+        if (snap) group.position.copy(goal);
+        else group.position.lerp(goal, 1 - Math.exp(-followSharpness * delta));
+    }
+
+    // Wherever the player stands when the session starts becomes the middle
+    // of the room, facing the way the chicken runs
+    function requestRecenter() {
+        recenterPending = true;
+    }
+
+    function recenter(renderer, frame) {
+        if (!recenterPending || !frame) return;
+
+        const referenceSpace = renderer.xr.getReferenceSpace();
+        const pose = frame.getViewerPose(referenceSpace);
+        if (!pose) return;
+
+        const { position, orientation } = pose.transform;
+        const heading = new THREE.Euler().setFromQuaternion(
+            new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w),
+            "YXZ"
+        ).y;
+        const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), heading);
+
+        renderer.xr.setReferenceSpace(
+            referenceSpace.getOffsetReferenceSpace(
+                new XRRigidTransform(
+                    { x: position.x, y: 0, z: position.z },
+                    { x: yaw.x, y: yaw.y, z: yaw.z, w: yaw.w }
+                )
+            )
+        );
+        recenterPending = false;
+    }
+
+    return { group, setMode, getMode, follow, requestRecenter, recenter };
+}
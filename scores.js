@@ -0,0 +1,99 @@
+// The best runs played on this device, kept in localStorage. Entries are
+// { name, score, date, seed, cause }, best first, cause being the one the
+// core died with. Every death is also counted by its cause, leaderboard or
+// not, to show what gets players most.
+const storageKey = "gallinavr.scores";
+const bestScoreKey = "gallinavr.bestScore";
+const deathsKey = "gallinavr.deaths";
+const nameKey = "gallinavr.name";
+
+export const leaderboardSize = 10;
+export const defaultName = "Chicken";
+
+export function createScores() {
+    const entries = loadEntries();
+    const deaths = loadDeaths(); // Cause -> how many times
+    // Best scores were kept on their own before there was a leaderboard
+    let best = Math.max(Number(localStorage.getItem(bestScoreKey)) || 0, entries[0]?.score ?? 0);
+
+    function getBest() {
+        return best;
+    }
+
+    // Returns the new entry, its place on the leaderboard (-1 if it didn't
+    // make it) and whether it beat the best score
+    function record({ name, score, seed, cause }) {
+        const entry = { name, score, date: new Date().toISOString(), seed, cause };
+
+        const newBest = score > best;
+        if (newBest) {
+            best = score;
+            localStorage.setItem(bestScoreKey, best.toString());
+        }
+
+        // A run that didn't leave the start isn't worth a place, and ties go
+        // below the runs that got there first
+        let rank = score > 0 ? entries.findIndex((other) => score > other.score) : -1;
+        if (score > 0 && rank === -1) rank = entries.length;
+        if (rank >= leaderboardSize) rank = -1;
+
+        if (rank !== -1) {
+            entries.splice(rank, 0, entry);
+            entries.length = Math.min(entries.length, leaderboardSize);
+            localStorage.setItem(storageKey, JSON.stringify(entries));
+        }
+
+        return { entry, rank, newBest };
+    }
+
+    function countDeath(cause) {
+        deaths[cause] = (deaths[cause] ?? 0) + 1;
+        localStorage.setItem(deathsKey, JSON.stringify(deaths));
+    }
+
+    // [cause, count] pairs, the deadliest first
+    function deadliest() {
+        return Object.entries(deaths).sort((a, b) => b[1] - a[1]);
+    }
+
+    return { entries, getBest, record, countDeath, deadliest };
+}
+
+export function loadName() {
+    return localStorage.getItem(nameKey) || defaultName;
+}
+
+export function saveName(name) {
+    localStorage.setItem(nameKey, name.trim() || defaultName);
+}
+
+function loadEntries() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(storageKey) ?? "[]");
+        if (Array.isArray(saved)) {
+            return saved
+                .filter((entry) => Number.isFinite(entry?.score))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, leaderboardSize);
+        }
+    } catch {
+        // Broken save, start a new leaderboard
+    }
+
+    return [];
+}
+
+function loadDeaths() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(deathsKey) ?? "{}");
+        if (saved && typeof saved === "object" && !Array.isArray(saved)) {
+            return Object.fromEntries(
+                Object.entries(saved).filter(([, count]) => Number.isInteger(count) && count > 0)
+            );
+        }
+    } catch {
+        // Broken save, start counting again
+    }
+
+    return {};
+}
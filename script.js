@@ -1,26 +1,128 @@
 import * as THREE from "https://esm.sh/three";
 import { VRButton } from "https://esm.sh/three/examples/jsm/webxr/VRButton.js";
+import { createGame, minTileIndex, maxTileIndex, wrapJump, tickTime } from "./core.js";
+import { randomSeed, dailySeed } from "./random.js";
+import { createXRInput } from "./xr-input.js";
+import { createHUD } from "./hud.js";
+import { createRig } from "./rig.js";
+import { createInput, intents } from "./input.js";
+import { createStateMachine } from "./states.js";
+import { skins, defaultSkin, buildSkin, isUnlocked, unlockHint } from "./skins.js";
+import { createScores, loadName, saveName } from "./scores.js";
+import {
+    createRecorder,
+    createPlayback,
+    parseReplay,
+    downloadReplay,
+    playbackSpeeds,
+} from "./replay.js";
+import { loadGhostRun, saveGhostRun, createGhost } from "./ghost.js";
+import { createOnline, onlineConfig } from "./online.js";
+import { createAudio, buses } from "./audio.js";
+import { createDaylight } from "./daylight.js";
+import { shared, boxGeometry, planeGeometry, lambertMaterial, phongMaterial } from "./resources.js";
 
-const minTileIndex = -8;
-const maxTileIndex = 8;
 const tilesPerRow = maxTileIndex - minTileIndex + 1;
 const tileSize = 42;
 
-let camera, scene, renderer;
+// Ring a bell when a train is about to cross near the player
+const playTrainBell = true;
+
+let camera, cameraTwo, scene, renderer;
+let input, xrInput, hud, rig, audio, daylight;
 let player;
+let playerTwo; // Only shown in two-player runs
+let hawks; // One for each chicken, in the same order as game.players
 let map;
-let scoreDOM, resultDOM, finalScoreDOM, gameControlsDOM;
-let backgroundMusic;
-
-// Game state
-const metadata = [];
-const position = {
-    currentRow: 0,
-    currentTile: 0,
-};
-const movesQueue = [];
-const moveClock = new THREE.Clock(false);
+let scoreDOM, resultDOM, finalScoreDOM, finalSeedDOM, seedInputDOM, gameControlsDOM, viewModeDOM;
+let titleDOM, titleSeedInputDOM, pauseDOM, finalCauseDOM, hawkWarningDOM;
+let coinsDOM, finalCoinsDOM, newBestDOM, leaderboardDOM, playerNameDOM;
+let replayDOM, replaySliderDOM, replayTimeDOM, replayPlayDOM, replayOutdatedDOM;
+let ghostStatusDOM, scoreTwoDOM, deadliestDOM;
+let lobbyDOM, lobbyPlayersDOM, lobbyStatusDOM, relayURLDOM, roomDOM, readyDOM;
+let standingsContainerDOM, standingsTitleDOM, standingsDOM, backToLobbyDOM, onlineStatusDOM;
+
+// Game state lives in the core, the scene only mirrors it
+const game = createGame({
+    debug: new URLSearchParams(window.location.search).has("debug"),
+});
+const recorder = createRecorder(game);
+let playback = null; // The replay being watched, only in the "replay" state
+let seeking = false; // While a replay jumps to another tick, see seekReplay
+let ghostRun = loadGhostRun(); // Replay of the best run
+let ghost = null; // The best run raced alongside this one, see startGhost
+let ghostMesh = null;
+const movingMeshes = new Map(); // Vehicles and logs, keyed by their metadata
+const signalMeshes = new Map(); // Railway signal lights, keyed by their row
+const rowMeshes = new Map(); // Row groups on the map, keyed by row index
+const hummingRows = new Set(); // Rows with their engines running, see updateEngines
+const coinMeshes = new Map(); // Coins still waiting on the map, keyed by their metadata
+const pickups = []; // Collected coins flying off, { mesh, time }
 const gameClock = new THREE.Clock();
+let renderAlpha = 0; // How far the frame is between the last tick and the next
+
+// Seconds each way of dying plays out for, with the world frozen, before
+// the result shows
+const deathDurations = {
+    car: 0.8,
+    truck: 1.2,
+    train: 1.4,
+    water: 1,
+    drifted: 1,
+    hawk: 1.6,
+};
+// Chickens playing out their death, { cause, direction, time, splash }
+// keyed by the chicken's mesh, see animateDeaths
+const deaths = new Map();
+
+// How each way of dying reads on the result screen
+const deathCauses = {
+    car: "Run over by a car",
+    truck: "Run over by a truck",
+    train: "Hit by a train",
+    water: "Fell in the river",
+    drifted: "Drifted away on a log",
+    hawk: "Carried off by a hawk",
+};
+
+const gameStates = createStateMachine({
+    initial: "title",
+    transitions: {
+        title: ["playing", "replay", "lobby"],
+        lobby: ["title", "playing"],
+        playing: ["paused", "dying"],
+        paused: ["playing", "title"],
+        dying: ["gameOver"],
+        gameOver: ["playing", "title", "replay", "lobby"],
+        replay: ["title"],
+    },
+    onChange: enterState,
+});
+const scores = createScores();
+let lastResult = null; // What the leaderboard made of the last run, see playerDied
+let lifetimeCoins = Number(localStorage.getItem("gallinavr.coins")) || 0;
+let runsPlayed = Number(localStorage.getItem("gallinavr.runs")) || 0;
+let skinId = localStorage.getItem("gallinavr.skin");
+if (!(skinId in skins)) skinId = defaultSkin;
+
+// Online races, see online.js. The race is set when the relay starts its
+// countdown and kept until the next run, so its standings can be shown.
+const online = createOnline({
+    onLobby: showLobby,
+    onStart: (race) => (onlineRace = race),
+    onRemoteLeft: removeRemoteChicken,
+    onStandings: showStandings,
+    onClosed: onlineClosed,
+    onError: showLobbyStatus,
+});
+let onlineId = null; // Ours on the relay, null when not in a room
+let onlineReady = false;
+let onlineRace = null;
+let standings = []; // The online race's, as the relay last sent them
+const remoteMeshes = new Map(); // Other players' chickens in the online race, keyed by their id
+
+// Seconds a collected coin takes to float up and vanish
+const pickupDuration = 0.4;
 
 function Camera() {
     const fov = 75;
@@ -74,37 +176,37 @@ function Car(initialTileIndex, direction, color) {
     if (!direction) car.rotation.z = Math.PI;
 
     const main = new THREE.Mesh(
-        new THREE.BoxGeometry(60, 30, 15),
-        new THREE.MeshLambertMaterial({ color, flatShading: true })
+        boxGeometry(60, 30, 15),
+        lambertMaterial({ color, flatShading: true })
     );
     main.position.z = 12;
     main.castShadow = true;
     main.receiveShadow = true;
     car.add(main);
 
-    const cabin = new THREE.Mesh(new THREE.BoxGeometry(33, 24, 12), [
-        new THREE.MeshPhongMaterial({
+    const cabin = new THREE.Mesh(boxGeometry(33, 24, 12), [
+        phongMaterial({
             color: 0xcccccc,
             flatShading: true,
             map: carBackTexture,
         }),
-        new THREE.MeshPhongMaterial({
+        phongMaterial({
             color: 0xcccccc,
             flatShading: true,
             map: carFrontTexture,
         }),
-        new THREE.MeshPhongMaterial({
+        phongMaterial({
             color: 0xcccccc,
             flatShading: true,
             map: carRightSideTexture,
         }),
-        new THREE.MeshPhongMaterial({
+        phongMaterial({
             color: 0xcccccc,
             flatShading: true,
             map: carLeftSideTexture,
         }),
-        new THREE.MeshPhongMaterial({ color: 0xcccccc, flatShading: true }), // top
-        new THREE.MeshPhongMaterial({ color: 0xcccccc, flatShading: true }), // bottom
+        phongMaterial({ color: 0xcccccc, flatShading: true }), // top
+        phongMaterial({ color: 0xcccccc, flatShading: true }), // bottom
     ]);
     cabin.position.x = -6;
     cabin.position.z = 25.5;
@@ -118,27 +220,29 @@ function Car(initialTileIndex, direction, color) {
     const backWheel = Wheel(-18);
     car.add(backWheel);
 
+    car.add(Headlights(30, 30, 12));
+
     return car;
 }
 
-function DirectionalLight() {
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1); // White light, full intensity
-    dirLight.position.set(-100, -100, 200);
-    dirLight.up.set(0, 0, 1);
-    dirLight.castShadow = true;
-
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
+// Two lamps on the front of a vehicle and the patch of road they light,
+// front being how far ahead of its middle the vehicle ends. They only show
+// at night, see daylight.js.
+function Headlights(front, width, height) {
+    const headlights = new THREE.Group();
+    const { lamp, beam } = daylight.headlights;
+
+    [-1, 1].forEach((side) => {
+        const light = new THREE.Mesh(boxGeometry(2, 6, 4), lamp);
+        light.position.set(front + 1, side * (width / 2 - 5), height);
+        headlights.add(light);
+    });
 
-    dirLight.shadow.camera.up.set(0, 0, 1);
-    dirLight.shadow.camera.left = -400;
-    dirLight.shadow.camera.right = 400;
-    dirLight.shadow.camera.top = 400;
-    dirLight.shadow.camera.bottom = -400;
-    dirLight.shadow.camera.near = 50;
-    dirLight.shadow.camera.far = 400;
+    const pool = new THREE.Mesh(planeGeometry(80, width + 10), beam);
+    pool.position.set(front + 40, 0, 0.5);
+    headlights.add(pool);
 
-    return dirLight;
+    return headlights;
 }
 
 function Grass(rowIndex) {
@@ -147,8 +251,8 @@ function Grass(rowIndex) {
 
     const createSection = (color) =>
         new THREE.Mesh(
-            new THREE.BoxGeometry(tilesPerRow * tileSize, tileSize, 3),
-            new THREE.MeshLambertMaterial({ color })
+            boxGeometry(tilesPerRow * tileSize, tileSize, 3),
+            lambertMaterial({ color })
         );
 
     const middle = createSection(0xbaf455);
@@ -168,24 +272,49 @@ function Grass(rowIndex) {
 
 function initializeMap() {
     // Remove all rows
-    metadata.length = 0;
     map.remove(...map.children);
-
-    // Add new rows
-    for (let rowIndex = 0; rowIndex > -10; rowIndex--) {
+    audio.removeAllEngines();
+    hummingRows.clear();
+    movingMeshes.clear();
+    signalMeshes.clear();
+    rowMeshes.clear();
+    coinMeshes.clear();
+    pickups.length = 0;
+
+    // Add the rows behind the start, the core only describes the ones ahead
+    for (let rowIndex = 0; rowIndex >= game.firstRow; rowIndex--) {
         const grass = Grass(rowIndex);
-        map.add(grass);
+        addRowMesh(rowIndex, grass);
     }
-    addRows();
 }
 
-function addRows() {
-    const newMetadata = generateRows(20);
+function addRowMesh(rowIndex, row) {
+    rowMeshes.set(rowIndex, row);
+    map.add(row);
+}
 
-    const startIndex = metadata.length;
-    metadata.push(...newMetadata);
+// Geometry and materials are shared between rows, so dropping a row only
+// means taking its meshes out of the scene and forgetting about them
+function removeRows({ rows }) {
+    rows.forEach(({ rowIndex, rowData }) => {
+        const row = rowMeshes.get(rowIndex);
+        if (row) map.remove(row);
+        rowMeshes.delete(rowIndex);
+
+        hummingRows.delete(rowIndex);
+        if (!rowData) return;
+        rowData.vehicles?.forEach((vehicle) => {
+            audio.removeEngine(movingMeshes.get(vehicle));
+            movingMeshes.delete(vehicle);
+        });
+        rowData.logs?.forEach((log) => movingMeshes.delete(log));
+        signalMeshes.delete(rowData);
+        rowData.coins.forEach((coin) => coinMeshes.delete(coin));
+    });
+}
 
-    newMetadata.forEach((rowData, index) => {
+function addRows({ rows, startIndex }) {
+    rows.forEach((rowData, index) => {
         const rowIndex = startIndex + index + 1;
 
         if (rowData.type === "forest") {
@@ -196,7 +325,7 @@ function addRows() {
                 row.add(three);
             });
 
-            map.add(row);
+            addRowMesh(rowIndex, row);
         }
 
         if (rowData.type === "car") {
@@ -204,15 +333,15 @@ function addRows() {
 
             rowData.vehicles.forEach((vehicle) => {
                 const car = Car(
-                    vehicle.initialTileIndex,
+                    vehicle.position,
                     rowData.direction,
                     vehicle.color
                 );
-                vehicle.ref = car;
+                movingMeshes.set(vehicle, car);
                 row.add(car);
             });
 
-            map.add(row);
+            addRowMesh(rowIndex, row);
         }
 
         if (rowData.type === "truck") {
@@ -220,88 +349,233 @@ function addRows() {
 
             rowData.vehicles.forEach((vehicle) => {
                 const truck = Truck(
-                    vehicle.initialTileIndex,
+                    vehicle.position,
                     rowData.direction,
                     vehicle.color
                 );
-                vehicle.ref = truck;
+                movingMeshes.set(vehicle, truck);
                 row.add(truck);
             });
 
-            map.add(row);
+            addRowMesh(rowIndex, row);
+        }
+
+        if (rowData.type === "train") {
+            const row = Rails(rowIndex);
+
+            rowData.vehicles.forEach((vehicle) => {
+                const train = Train(vehicle.position, rowData.direction);
+                movingMeshes.set(vehicle, train);
+                row.add(train);
+            });
+
+            const signal = SignalPost();
+            signalMeshes.set(rowData, signal.getObjectByName("light"));
+            row.add(signal);
+
+            addRowMesh(rowIndex, row);
+        }
+
+        if (rowData.type === "river") {
+            const row = River(rowIndex);
+
+            rowData.logs.forEach((log) => {
+                const mesh = Log(log.position, log.length);
+                movingMeshes.set(log, mesh);
+                row.add(mesh);
+            });
+
+            addRowMesh(rowIndex, row);
         }
+
+        rowData.coins.forEach((coin) => {
+            if (coin.collected) return;
+            const mesh = Coin(coin.tileIndex);
+            coinMeshes.set(coin, mesh);
+            rowMeshes.get(rowIndex).add(mesh);
+        });
     });
 }
 
+function Coin(tileIndex) {
+    const coin = new THREE.Mesh(
+        shared("coin", () => new THREE.CylinderGeometry(8, 8, 2, 16)),
+        lambertMaterial({ color: 0xfacc15, emissive: 0x6b4f00 })
+    );
+    // The cylinder's axis runs along the row, so the coin stands on its edge
+    coin.position.x = tileIndex * tileSize;
+    coin.position.z = 14;
+    coin.castShadow = true;
+    return coin;
+}
+
+// The inner group hops and turns, the skin inside it is swapped by setSkin
 function Player() {
     const player = new THREE.Group();
+    player.add(buildSkin(skinId));
+
+    const playerContainer = new THREE.Group();
+    playerContainer.add(player);
+
+    return playerContainer;
+}
+
+// Hangs over the chicken while it dawdles, see animateHawk
+function Hawk() {
+    const hawk = new THREE.Group();
+    hawk.visible = false;
 
     const body = new THREE.Mesh(
-        new THREE.BoxGeometry(15, 15, 20),
-        new THREE.MeshLambertMaterial({
-            color: "white",
-            flatShading: true,
-        })
+        boxGeometry(12, 24, 10),
+        lambertMaterial({ color: 0x7c4a1e, flatShading: true })
     );
-    body.position.z = 10;
     body.castShadow = true;
-    body.receiveShadow = true;
-    player.add(body);
+    hawk.add(body);
 
-    const cap = new THREE.Mesh(
-        new THREE.BoxGeometry(2, 4, 2),
-        new THREE.MeshLambertMaterial({
-            color: 0xf0619a,
-            flatShading: true,
-        })
+    const head = new THREE.Mesh(
+        boxGeometry(8, 8, 8),
+        lambertMaterial({ color: 0xf5f5f4, flatShading: true })
     );
-    cap.position.z = 21;
-    cap.castShadow = true;
-    cap.receiveShadow = true;
-    player.add(cap);
+    head.position.y = 14;
+    head.position.z = 3;
+    hawk.add(head);
 
-    const playerContainer = new THREE.Group();
-    playerContainer.add(player);
+    const beak = new THREE.Mesh(
+        boxGeometry(3, 4, 3),
+        lambertMaterial({ color: 0xfacc15, flatShading: true })
+    );
+    beak.position.y = 20;
+    beak.position.z = 2;
+    hawk.add(beak);
+
+    hawk.userData.wings = [-1, 1].map((side) => {
+        const wing = new THREE.Mesh(
+            boxGeometry(30, 14, 2),
+            lambertMaterial({ color: 0x5b3413, flatShading: true })
+        );
+        wing.position.x = side * 20;
+        wing.castShadow = true;
+        hawk.add(wing);
+        return wing;
+    });
+
+    return hawk;
+}
+
+function setSkin(id) {
+    skinId = id;
+    localStorage.setItem("gallinavr.skin", id);
+    player.children[0].clear();
+    player.children[0].add(buildSkin(id));
+    playerTwo.children[0].clear();
+    playerTwo.children[0].add(buildSkin(playerTwoSkin()));
+}
 
+// Player two gets a different skin from player one, so they can be told apart
+function playerTwoSkin() {
+    return skinId === "duck" ? defaultSkin : "duck";
+}
+
+// Player two's chicken, with the inner group hopping like Player()'s
+function PlayerTwo() {
+    const inner = new THREE.Group();
+    inner.add(buildSkin(playerTwoSkin()));
+
+    const playerContainer = new THREE.Group();
+    playerContainer.add(inner);
+    playerContainer.visible = false;
     return playerContainer;
 }
 
-function initializePlayer() {
-    player.position.x = 0;
-    player.position.y = 0;
-    player.children[0].position.z = 0; // Reset player's Z position relative to its container
+// Another player's chicken in an online race, hopping like Player()'s
+function RemoteChicken(skin) {
+    const inner = new THREE.Group();
+    inner.add(buildSkin(Object.hasOwn(skins, skin) ? skin : defaultSkin));
 
-    position.currentRow = 0;
-    position.currentTile = 0;
+    const chicken = new THREE.Group();
+    chicken.add(inner);
+    return chicken;
+}
 
-    movesQueue.length = 0;
+// A see-through copy of the chicken in the skin's box version, so it
+// never has to wait for a model
+function Ghost() {
+    const skin = skins[skinId].build();
+    skin.traverse((child) => {
+        if (!child.isMesh) return;
+        child.material = lambertMaterial({
+            color: child.material.color.getHex(),
+            flatShading: true,
+            transparent: true,
+            opacity: 0.4,
+            depthWrite: false,
+        });
+        child.castShadow = false;
+    });
+
+    const inner = new THREE.Group();
+    inner.add(skin);
+
+    const ghost = new THREE.Group();
+    ghost.add(inner);
+    return ghost;
 }
 
-function queueMove(direction) {
-    const isValidMove = endsUpInValidPosition(
-        {
-            rowIndex: position.currentRow,
-            tileIndex: position.currentTile,
-        },
-        [...movesQueue, direction]
-    );
+function initializePlayer(chicken) {
+    chicken.position.x = 0;
+    chicken.position.y = 0;
+    chicken.children[0].position.set(0, 0, 0); // Reset player's position relative to its container
+    chicken.children[0].rotation.set(0, 0, 0);
+    chicken.children[0].scale.setScalar(1);
+}
 
-    if (!isValidMove) return;
+function collectCoin({ coin, coins, player: index }) {
+    const mesh = coinMeshes.get(coin);
+    coinMeshes.delete(coin);
+    if (mesh) pickups.push({ mesh, time: 0 });
+    if (!seeking) audio.coin();
 
-    movesQueue.push(direction);
+    // Coins picked up again in a replay were already counted
+    if (!gameStates.is("replay")) {
+        lifetimeCoins++;
+        localStorage.setItem("gallinavr.coins", lifetimeCoins.toString());
+    }
+    if (index === 0) updateCoins(coins);
+}
+
+function updateCoins(coins) {
+    if (coinsDOM) coinsDOM.innerText = coins.toString();
+    hud.setCoins(coins);
 }
 
-function stepCompleted() {
-    const direction = movesQueue.shift();
+// Waiting coins spin, collected ones rise and shrink away
+function animateCoins(delta) {
+    coinMeshes.forEach((mesh) => (mesh.rotation.z += delta * 3));
 
-    if (direction === "forward") position.currentRow += 1;
-    if (direction === "backward") position.currentRow -= 1;
-    if (direction === "left") position.currentTile -= 1;
-    if (direction === "right") position.currentTile += 1;
+    for (let i = pickups.length - 1; i >= 0; i--) {
+        const pickup = pickups[i];
+        pickup.time += delta;
+
+        const progress = Math.min(pickup.time / pickupDuration, 1);
+        pickup.mesh.position.z = 14 + progress * 40;
+        pickup.mesh.rotation.z += delta * 20;
+        pickup.mesh.scale.setScalar(1 - progress);
+
+        if (progress === 1) {
+            pickup.mesh.removeFromParent();
+            pickups.splice(i, 1);
+        }
+    }
+}
 
-    if (position.currentRow > metadata.length - 10) addRows();
+function updateScore({ row, player: index }) {
+    if (index === 1) {
+        if (scoreTwoDOM) scoreTwoDOM.innerText = row.toString();
+        return;
+    }
 
-    if (scoreDOM) scoreDOM.innerText = position.currentRow.toString();
+    if (scoreDOM) scoreDOM.innerText = row.toString();
+    hud.setScore(row, scores.getBest());
 }
 
 function Renderer() {
@@ -329,8 +603,8 @@ function Road(rowIndex) {
 
     const createSection = (color) =>
         new THREE.Mesh(
-            new THREE.PlaneGeometry(tilesPerRow * tileSize, tileSize),
-            new THREE.MeshLambertMaterial({ color })
+            planeGeometry(tilesPerRow * tileSize, tileSize),
+            lambertMaterial({ color })
         );
 
     const middle = createSection(0x454a59);
@@ -348,13 +622,177 @@ function Road(rowIndex) {
     return road;
 }
 
+function Rails(rowIndex) {
+    const rails = new THREE.Group();
+    rails.position.y = rowIndex * tileSize;
+
+    const createSection = (color) =>
+        new THREE.Mesh(
+            planeGeometry(tilesPerRow * tileSize, tileSize),
+            lambertMaterial({ color })
+        );
+
+    const middle = createSection(0x8a8178);
+    middle.receiveShadow = true;
+    rails.add(middle);
+
+    const left = createSection(0x6f675f);
+    left.position.x = -tilesPerRow * tileSize;
+    rails.add(left);
+
+    const right = createSection(0x6f675f);
+    right.position.x = tilesPerRow * tileSize;
+    rails.add(right);
+
+    for (let tileIndex = minTileIndex; tileIndex <= maxTileIndex; tileIndex++) {
+        const sleeper = new THREE.Mesh(
+            boxGeometry(8, tileSize * 0.8, 2),
+            lambertMaterial({ color: 0x5b3a21 })
+        );
+        sleeper.position.x = tileIndex * tileSize;
+        sleeper.position.z = 1;
+        sleeper.receiveShadow = true;
+        rails.add(sleeper);
+    }
+
+    [-10, 10].forEach((y) => {
+        const rail = new THREE.Mesh(
+            boxGeometry(tilesPerRow * tileSize * 3, 2, 3),
+            lambertMaterial({ color: 0xb0b0b0 })
+        );
+        rail.position.y = y;
+        rail.position.z = 3;
+        rails.add(rail);
+    });
+
+    return rails;
+}
+
+const signalOffMaterial = lambertMaterial({ color: 0x4a0d0d });
+const signalOnMaterial = new THREE.MeshBasicMaterial({ color: 0xff2a2a });
+
+// Stands at the left end of a railway row and flashes before a train comes
+function SignalPost() {
+    const signal = new THREE.Group();
+    signal.position.x = (minTileIndex - 1) * tileSize;
+    signal.position.y = tileSize * 0.4;
+
+    const pole = new THREE.Mesh(
+        boxGeometry(4, 4, 40),
+        lambertMaterial({ color: 0x333333, flatShading: true })
+    );
+    pole.position.z = 20;
+    pole.castShadow = true;
+    signal.add(pole);
+
+    const head = new THREE.Mesh(
+        boxGeometry(12, 6, 12),
+        lambertMaterial({ color: 0x222222, flatShading: true })
+    );
+    head.position.z = 44;
+    head.castShadow = true;
+    signal.add(head);
+
+    const light = new THREE.Mesh(boxGeometry(7, 2, 7), signalOffMaterial);
+    light.name = "light";
+    light.position.y = -3.5;
+    light.position.z = 44;
+    signal.add(light);
+
+    return signal;
+}
+
+function Train(initialTileIndex, direction) {
+    const train = new THREE.Group();
+    train.position.x = initialTileIndex * tileSize;
+    if (!direction) train.rotation.z = Math.PI;
+
+    // A locomotive at the front and three wagons behind it, 10 tiles in all
+    [157.5, 52.5, -52.5, -157.5].forEach((x, index) => {
+        const isLocomotive = index === 0;
+
+        const body = new THREE.Mesh(
+            boxGeometry(100, 34, isLocomotive ? 30 : 34),
+            lambertMaterial({
+                color: isLocomotive ? 0xc0392b : 0x7f8c8d,
+                flatShading: true,
+            })
+        );
+        body.position.x = x;
+        body.position.z = isLocomotive ? 21 : 23;
+        body.castShadow = true;
+        body.receiveShadow = true;
+        train.add(body);
+
+        train.add(Wheel(x - 30));
+        train.add(Wheel(x + 30));
+    });
+
+    const cabin = new THREE.Mesh(
+        boxGeometry(34, 30, 16),
+        lambertMaterial({ color: 0x922b21, flatShading: true })
+    );
+    cabin.position.x = 130;
+    cabin.position.z = 44;
+    cabin.castShadow = true;
+    train.add(cabin);
+
+    train.add(Headlights(207.5, 34, 14));
+
+    return train;
+}
+
+function River(rowIndex) {
+    const river = new THREE.Group();
+    river.position.y = rowIndex * tileSize;
+
+    // The water sits a little lower than the banks so logs float level with them
+    const createSection = (color) => {
+        const section = new THREE.Mesh(
+            planeGeometry(tilesPerRow * tileSize, tileSize),
+            lambertMaterial({ color })
+        );
+        section.position.z = -4;
+        return section;
+    };
+
+    const middle = createSection(0x3fa9f5);
+    middle.receiveShadow = true;
+    river.add(middle);
+
+    const left = createSection(0x2e86c7);
+    left.position.x = -tilesPerRow * tileSize;
+    river.add(left);
+
+    const right = createSection(0x2e86c7);
+    right.position.x = tilesPerRow * tileSize;
+    river.add(right);
+
+    return river;
+}
+
+function Log(initialTileIndex, length) {
+    const log = new THREE.Mesh(
+        boxGeometry(length * tileSize - 4, tileSize * 0.8, 8),
+        lambertMaterial({
+            color: 0x8b5a2b,
+            flatShading: true,
+        })
+    );
+    log.position.x = initialTileIndex * tileSize;
+    log.position.z = -2;
+    log.castShadow = true;
+    log.receiveShadow = true;
+    return log;
+}
+
 function Tree(tileIndex, height) {
     const tree = new THREE.Group();
     tree.position.x = tileIndex * tileSize;
 
     const trunk = new THREE.Mesh(
-        new THREE.BoxGeometry(15, 15, 20),
-        new THREE.MeshLambertMaterial({
+        boxGeometry(15, 15, 20),
+        lambertMaterial({
             color: 0x4d2926,
             flatShading: true,
         })
@@ -363,8 +801,8 @@ function Tree(tileIndex, height) {
     tree.add(trunk);
 
     const crown = new THREE.Mesh(
-        new THREE.BoxGeometry(30, 30, height),
-        new THREE.MeshLambertMaterial({
+        boxGeometry(30, 30, height),
+        lambertMaterial({
             color: 0x7aa21d,
             flatShading: true,
         })
@@ -383,8 +821,8 @@ function Truck(initialTileIndex, direction, color) {
     if (!direction) truck.rotation.z = Math.PI;
 
     const cargo = new THREE.Mesh(
-        new THREE.BoxGeometry(70, 35, 35),
-        new THREE.MeshLambertMaterial({
+        boxGeometry(70, 35, 35),
+        lambertMaterial({
             color: 0xb4c6fc,
             flatShading: true,
         })
@@ -395,28 +833,28 @@ function Truck(initialTileIndex, direction, color) {
     cargo.receiveShadow = true;
     truck.add(cargo);
 
-    const cabin = new THREE.Mesh(new THREE.BoxGeometry(30, 30, 30), [
-        new THREE.MeshLambertMaterial({
+    const cabin = new THREE.Mesh(boxGeometry(30, 30, 30), [
+        lambertMaterial({
             color,
             flatShading: true,
             map: truckFrontTexture,
         }), // front
-        new THREE.MeshLambertMaterial({
+        lambertMaterial({
             color,
             flatShading: true,
         }), // back
-        new THREE.MeshLambertMaterial({
+        lambertMaterial({
             color,
             flatShading: true,
             map: truckLeftSideTexture,
         }),
-        new THREE.MeshLambertMaterial({
+        lambertMaterial({
             color,
             flatShading: true,
             map: truckRightSideTexture,
         }),
-        new THREE.MeshPhongMaterial({ color, flatShading: true }), // top
-        new THREE.MeshPhongMaterial({ color, flatShading: true }), // bottom
+        phongMaterial({ color, flatShading: true }), // top
+        phongMaterial({ color, flatShading: true }), // bottom
     ]);
     cabin.position.x = 35;
     cabin.position.z = 20;
@@ -434,13 +872,15 @@ function Truck(initialTileIndex, direction, color) {
     const backWheel = Wheel(-35);
     truck.add(backWheel);
 
+    truck.add(Headlights(50, 30, 12));
+
     return truck;
 }
 
 function Wheel(x) {
     const wheel = new THREE.Mesh(
-        new THREE.BoxGeometry(12, 33, 12),
-        new THREE.MeshLambertMaterial({
+        boxGeometry(12, 33, 12),
+        lambertMaterial({
             color: 0x333333,
             flatShading: true,
         })
@@ -450,261 +890,433 @@ function Wheel(x) {
     return wheel;
 }
 
-function calculateFinalPosition(currentPosition, moves) {
-    return moves.reduce((position, direction) => {
-        if (direction === "forward")
-            return {
-                rowIndex: position.rowIndex + 1,
-                tileIndex: position.tileIndex,
-            };
-        if (direction === "backward")
-            return {
-                rowIndex: position.rowIndex - 1,
-                tileIndex: position.tileIndex,
-            };
-        if (direction === "left")
-            return {
-                rowIndex: position.rowIndex,
-                tileIndex: position.tileIndex - 1,
-            };
-        if (direction === "right")
-            return {
-                rowIndex: position.rowIndex,
-                tileIndex: position.tileIndex + 1,
-            };
-        return position;
-    }, currentPosition);
+// Moves a chicken mesh to where sim, a game from createGame, has the
+// player at index
+function animateChicken(chicken, sim, index = 0) {
+    const progress = sim.moveProgress(renderAlpha, index);
+    const state = sim.players[index];
+
+    setPosition(chicken, sim, state, progress);
+    if (state.movesQueue.length) setRotation(chicken, state, progress);
 }
 
-function endsUpInValidPosition(currentPosition, moves) {
-    const finalPosition = calculateFinalPosition(currentPosition, moves);
+function setPosition(chicken, sim, { position, movesQueue, carried }, progress) {
+    // Back off the part of the last tick's drift on a log the frame hasn't reached yet
+    const tile = position.currentTile - carried * (1 - renderAlpha);
+    const startX = tile * tileSize;
+    const startY = position.currentRow * tileSize;
+    let endX = startX;
+    let endY = startY;
 
-    if (
-        finalPosition.rowIndex === -1 ||
-        finalPosition.tileIndex === minTileIndex - 1 ||
-        finalPosition.tileIndex === maxTileIndex + 1
-    ) {
-        return false;
-    }
+    if (movesQueue[0] === "left") endX -= tileSize;
+    if (movesQueue[0] === "right") endX += tileSize;
+    if (movesQueue[0] === "forward") endY += tileSize;
+    if (movesQueue[0] === "backward") endY -= tileSize;
 
-    const finalRow = metadata[finalPosition.rowIndex - 1];
-    if (
-        finalRow &&
-        finalRow.type === "forest" &&
-        finalRow.trees.some((tree) => tree.tileIndex === finalPosition.tileIndex)
-    ) {
-        return false;
-    }
+    // Hopping off a log lands in the middle of the nearest tile
+    endX = sim.landingTile(endY / tileSize, endX / tileSize) * tileSize;
 
-    return true;
+    chicken.position.x = THREE.MathUtils.lerp(startX, endX, progress);
+    chicken.position.y = THREE.MathUtils.lerp(startY, endY, progress);
+    chicken.children[0].position.z = Math.sin(progress * Math.PI) * 8;
 }
 
-function generateRows(amount) {
-    const rows = [];
-    for (let i = 0; i < amount; i++) {
-        const rowData = generateRow();
-        rows.push(rowData);
-    }
-    return rows;
+function setRotation(chicken, { movesQueue }, progress) {
+    let endRotation = 0;
+    if (movesQueue[0] == "forward") endRotation = 0;
+    if (movesQueue[0] == "left") endRotation = Math.PI / 2;
+    if (movesQueue[0] == "right") endRotation = -Math.PI / 2;
+    if (movesQueue[0] == "backward") endRotation = Math.PI;
+
+    chicken.children[0].rotation.z = THREE.MathUtils.lerp(
+        chicken.children[0].rotation.z,
+        endRotation,
+        progress
+    );
 }
 
-function generateRow() {
-    const type = randomElement(["car", "truck", "forest"]);
-    if (type === "car") return generateCarLaneMetadata();
-    if (type === "truck") return generateTruckLaneMetadata();
-    return generateForesMetadata();
+// The ghost only runs in real runs on the same seed as the best one
+function startGhost(seed) {
+    stopGhost();
+    if (ghostRun?.seed !== seed || game.players.length > 1) return;
+
+    ghost = createGhost(ghostRun);
+    ghostMesh = Ghost();
+    scene.add(ghostMesh);
 }
 
-function randomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+function stopGhost() {
+    ghost = null;
+    ghostMesh?.removeFromParent();
+    ghostMesh = null;
+    showGhostStatus(null);
 }
 
-function generateForesMetadata() {
-    const occupiedTiles = new Set();
-    const trees = Array.from({ length: 4 }, () => {
-        let tileIndex;
-        do {
-            tileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-        } while (occupiedTiles.has(tileIndex));
-        occupiedTiles.add(tileIndex);
+function animateGhost() {
+    if (!ghost) return;
 
-        const height = randomElement([20, 45, 60]);
+    animateChicken(ghostMesh, ghost.game);
+    showGhostStatus(
+        game.players[0].position.currentRow - ghost.game.players[0].position.currentRow
+    );
+}
 
-        return { tileIndex, height };
-    });
+// rowsAhead of the ghost, negative when behind, null when there's no ghost
+function showGhostStatus(rowsAhead) {
+    hud.setGhost(rowsAhead);
+    if (!ghostStatusDOM) return;
 
-    return { type: "forest", trees };
+    ghostStatusDOM.style.visibility = rowsAhead === null ? "hidden" : "visible";
+    if (rowsAhead === null) return;
+
+    ghostStatusDOM.classList.toggle("behind", rowsAhead < 0);
+    if (rowsAhead > 0) ghostStatusDOM.innerText = `${rowsAhead} ahead of your best`;
+    else if (rowsAhead < 0) ghostStatusDOM.innerText = `${-rowsAhead} behind your best`;
+    else ghostStatusDOM.innerText = "Level with your best";
 }
 
-function generateCarLaneMetadata() {
-    const direction = randomElement([true, false]);
-    const speed = randomElement([100, 125, 150]);
+// Racing needs a best run to race against
+function showRaceButtons() {
+    document.querySelectorAll(".race-ghost").forEach((button) => {
+        button.style.display = ghostRun ? "" : "none";
+    });
+}
 
-    const occupiedTiles = new Set();
+function animateVehicles() {
+    movingMeshes.forEach((mesh, { position, previousPosition = position }) => {
+        // Draw between the last two ticks, unless the object just looped round
+        const looped = Math.abs(position - previousPosition) > wrapJump;
+        const x = looped
+            ? position
+            : THREE.MathUtils.lerp(previousPosition, position, renderAlpha);
+        mesh.position.x = x * tileSize;
+    });
+}
 
-    const vehicles = Array.from({ length: 3 }, () => {
-        let initialTileIndex;
-        do {
-            initialTileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-        } while (occupiedTiles.has(initialTileIndex));
-        occupiedTiles.add(initialTileIndex - 1);
-        occupiedTiles.add(initialTileIndex);
-        occupiedTiles.add(initialTileIndex + 1);
+function animateSignals() {
+    signalMeshes.forEach((light, { phase, timer }) => {
+        const flashOn = phase === "warning" && Math.floor(timer * 4) % 2 === 0;
+        light.material =
+            flashOn || phase === "passing" ? signalOnMaterial : signalOffMaterial;
+    });
+}
 
-        const color = randomElement([0xa52523, 0xbdb638, 0x78b14b]);
+// Only the traffic the core is moving hums, engines start and stop as
+// rows come into and leave its active window
+function updateEngines() {
+    const [first, last] = game.activeRows();
 
-        return { initialTileIndex, color };
+    hummingRows.forEach((rowIndex) => {
+        if (rowIndex >= first && rowIndex <= last) return;
+        game.metadata[rowIndex - 1]?.vehicles.forEach((vehicle) =>
+            audio.removeEngine(movingMeshes.get(vehicle))
+        );
+        hummingRows.delete(rowIndex);
     });
 
-    return { type: "car", direction, speed, vehicles };
+    for (let rowIndex = first; rowIndex <= last; rowIndex++) {
+        const rowData = game.metadata[rowIndex - 1];
+        if (hummingRows.has(rowIndex) || !rowData?.vehicles) continue;
+
+        rowData.vehicles.forEach((vehicle) => {
+            const mesh = movingMeshes.get(vehicle);
+            if (mesh) audio.addEngine(mesh, rowData.type);
+        });
+        hummingRows.add(rowIndex);
+    }
 }
 
-function generateTruckLaneMetadata() {
-    const direction = randomElement([true, false]);
-    const speed = randomElement([100, 125, 150]);
+function ringBell({ row }) {
+    if (!playTrainBell || seeking) return;
+    if (game.players.every(({ position }) => Math.abs(row - position.currentRow) > 5)) return;
 
-    const occupiedTiles = new Set();
+    audio.bell();
+}
 
-    const vehicles = Array.from({ length: 2 }, () => {
-        let initialTileIndex;
-        do {
-            initialTileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-        } while (occupiedTiles.has(initialTileIndex));
-        occupiedTiles.add(initialTileIndex - 2);
-        occupiedTiles.add(initialTileIndex - 1);
-        occupiedTiles.add(initialTileIndex);
-        occupiedTiles.add(initialTileIndex + 1);
-        occupiedTiles.add(initialTileIndex + 2);
+// Seconds between two horns from the same vehicle, and how many tiles off
+// it starts honking at a chicken in its way
+const hornInterval = 2;
+const hornDistance = 4;
+const lastHorns = new WeakMap(); // Vehicle metadata -> seconds of its last horn
 
-        const color = randomElement([0xa52523, 0xbdb638, 0x78b14b]);
+function honkAtChickens(seconds) {
+    game.players.forEach(({ position, alive }) => {
+        const rowData = game.metadata[position.currentRow - 1];
+        if (!alive || (rowData?.type !== "car" && rowData?.type !== "truck")) return;
 
-        return { initialTileIndex, color };
-    });
+        rowData.vehicles.forEach((vehicle) => {
+            const ahead = (position.currentTile - vehicle.position) * (rowData.direction ? 1 : -1);
+            if (ahead < 0 || ahead > hornDistance) return;
+            if (seconds - (lastHorns.get(vehicle) ?? -Infinity) < hornInterval) return;
 
-    return { type: "truck", direction, speed, vehicles };
+            lastHorns.set(vehicle, seconds);
+            audio.horn(movingMeshes.get(vehicle));
+        });
+    });
 }
 
-function animatePlayer() {
-    if (!movesQueue.length) return;
-
-    if (!moveClock.running) moveClock.start();
+function hawkWarning({ time, player: index }) {
+    hawks[index].userData.warningTime = time; // Seconds the dive lasts, from the core
+    hawks[index].visible = true;
+    showHawkWarning();
+}
 
-    const stepTime = 0.2; // Seconds it takes to take a step
-    const progress = Math.min(1, moveClock.getElapsedTime() / stepTime);
+function hawkLeft({ player: index }) {
+    hawks[index].visible = false;
+    showHawkWarning();
+}
 
-    setPosition(progress);
-    setRotation(progress);
+// Up while any hawk is still diving at a chicken that's alive
+function showHawkWarning() {
+    const visible = hawks.some((hawk, index) => hawk.visible && game.players[index]?.alive);
+    if (hawkWarningDOM) hawkWarningDOM.style.visibility = visible ? "visible" : "hidden";
+    hud.setWarning(visible ? "Hawk! Keep moving!" : null);
+}
 
-    // Once a step has ended
-    if (progress >= 1) {
-        stepCompleted();
-        moveClock.stop();
-    }
+function animateHawks(time) {
+    hawks.forEach((hawk, index) => {
+        if (hawk.visible && game.players[index]) animateHawk(hawk, index, time);
+    });
 }
 
-function setPosition(progress) {
-    const startX = position.currentTile * tileSize;
-    const startY = position.currentRow * tileSize;
-    let endX = startX;
-    let endY = startY;
+// A hawk dives from behind and above, reaching its chicken as the warning
+// runs out. Once it has caught the chicken it stays on it.
+function animateHawk(hawk, index, time) {
+    const { deathCause, hawkTime } = game.players[index];
+    const chicken = index === 1 ? playerTwo : player;
+    const body = chicken.children[0].position; // Lifted while it's carried off
+    const progress = deathCause === "hawk" ? 1 : Math.min(hawkTime / hawk.userData.warningTime, 1);
+    const height = THREE.MathUtils.lerp(240, 30, progress);
+    const behind = THREE.MathUtils.lerp(200, 0, progress);
+    // Circling wide at first, tightening as it comes down
+    const circle = (1 - progress) * 60;
+    const angle = time / 400;
+
+    hawk.position.set(
+        chicken.position.x + body.x + Math.cos(angle) * circle,
+        chicken.position.y + body.y - behind + Math.sin(angle) * circle,
+        height + body.z
+    );
+    const flap = Math.sin(time / 80) * 0.5;
+    hawk.userData.wings.forEach((wing) => (wing.rotation.y = Math.sign(wing.position.x) * flap));
+}
 
-    if (movesQueue[0] === "left") endX -= tileSize;
-    if (movesQueue[0] === "right") endX += tileSize;
-    if (movesQueue[0] === "forward") endY += tileSize;
-    if (movesQueue[0] === "backward") endY -= tileSize;
+function Splash() {
+    const splash = new THREE.Mesh(
+        shared("splash", () => new THREE.RingGeometry(6, 10, 24)),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true })
+    );
+    splash.position.z = -3; // Just above the water
+    return splash;
+}
 
-    player.position.x = THREE.MathUtils.lerp(startX, endX, progress);
-    player.position.y = THREE.MathUtils.lerp(startY, endY, progress);
-    player.children[0].position.z = Math.sin(progress * Math.PI) * 8;
+function startDeath(chicken, cause, direction) {
+    const death = { cause, direction, time: 0, splash: null };
+    if (cause === "water" || cause === "drifted") {
+        death.splash = Splash();
+        death.splash.position.x = chicken.position.x;
+        death.splash.position.y = chicken.position.y;
+        scene.add(death.splash);
+    }
+    deaths.set(chicken, death);
 }
 
-function setRotation(progress) {
-    let endRotation = 0;
-    if (movesQueue[0] == "forward") endRotation = 0;
-    if (movesQueue[0] == "left") endRotation = Math.PI / 2;
-    if (movesQueue[0] == "right") endRotation = -Math.PI / 2;
-    if (movesQueue[0] == "backward") endRotation = Math.PI;
+function clearDeaths() {
+    deaths.forEach(({ splash }) => splash?.removeFromParent());
+    deaths.clear();
+}
 
-    player.children[0].rotation.z = THREE.MathUtils.lerp(
-        player.children[0].rotation.z,
-        endRotation,
-        progress
+// The run ends once every chicken's death has played out
+function deathsDone() {
+    return [...deaths.values()].every(
+        ({ cause, time }) => time >= (deathDurations[cause] ?? 0.6)
     );
 }
 
-function animateVehicles() {
-    const delta = gameClock.getDelta();
+// Poses each dead chicken's inner group, after animateChicken has put it
+// where the chicken was hit
+function animateDeaths(delta) {
+    deaths.forEach((death, chicken) => {
+        death.time += delta;
+        const progress = Math.min(death.time / (deathDurations[death.cause] ?? 0.6), 1);
+        const body = chicken.children[0];
+        // Thrown along the way whatever hit it was going
+        const side = death.direction ? 1 : -1;
+
+        if (death.cause === "car") {
+            // Flattened in the first moment, then left lying there
+            const squash = Math.min(progress / 0.15, 1);
+            body.scale.set(1 + squash * 0.4, 1 + squash * 0.4, 1 - squash * 0.85);
+            body.position.z = 0;
+        }
 
-    metadata.forEach((rowData) => {
-        if (rowData.type === "car" || rowData.type === "truck") {
-            const beginningOfRow = (minTileIndex - 2) * tileSize;
-            const endOfRow = (maxTileIndex + 2) * tileSize;
+        if (death.cause === "truck" || death.cause === "train") {
+            // Knocked off the road, tumbling through the air. A train
+            // throws it further and higher.
+            const tiles = death.cause === "train" ? 6 : 3;
+            const height = death.cause === "train" ? 140 : 70;
+            body.position.x = side * tiles * tileSize * progress;
+            body.position.z = Math.sin(progress * Math.PI) * height;
+            body.rotation.y = side * progress * Math.PI * 4;
+        }
 
-            rowData.vehicles.forEach(({ ref }) => {
-                if (!ref) throw Error("Vehicle reference is missing");
+        if (death.cause === "water" || death.cause === "drifted") {
+            // Bobs once or twice and goes under, the splash spreading out
+            body.position.z = -progress * 30;
+            body.rotation.y = Math.sin(progress * Math.PI * 6) * 0.3 * (1 - progress);
+            death.splash.scale.setScalar(1 + progress * 2);
+            death.splash.material.opacity = 1 - progress;
+        }
 
-                if (rowData.direction) {
-                    ref.position.x =
-                        ref.position.x > endOfRow
-                            ? beginningOfRow
-                            : ref.position.x + rowData.speed * delta;
-                } else {
-                    ref.position.x =
-                        ref.position.x < beginningOfRow
-                            ? endOfRow
-                            : ref.position.x - rowData.speed * delta;
-                }
-            });
+        if (death.cause === "hawk") {
+            // Carried up and away behind, the hawk keeps hold, see animateHawk
+            body.position.y = -progress * progress * 120;
+            body.position.z = progress * progress * 150;
+            body.rotation.y = Math.sin(death.time * 12) * 0.2;
         }
     });
 }
 
-function hitTest() {
-    const row = metadata[position.currentRow - 1];
-    if (!row) return;
+// Where the camera looks: the chicken, or wherever its death has thrown it
+function focusPoint(chicken, target) {
+    return (deaths.has(chicken) ? chicken.children[0] : chicken).getWorldPosition(target);
+}
 
-    if (row.type === "car" || row.type === "truck") {
-        const playerBoundingBox = new THREE.Box3();
-        playerBoundingBox.setFromObject(player);
+function playerDied({ cause, direction, player: index }) {
+    if (cause !== "hawk") hawks[index].visible = false;
+    showHawkWarning();
 
-        row.vehicles.forEach(({ ref }) => {
-            if (!ref) throw Error("Vehicle reference is missing");
+    startDeath(index === 1 ? playerTwo : player, cause, direction);
+    if (!seeking) audio.crash(cause);
+    if (!gameStates.is("replay")) scores.countDeath(cause);
 
-            const vehicleBoundingBox = new THREE.Box3();
-            vehicleBoundingBox.setFromObject(ref);
+    // With two players the run goes on until both are out. A replay just
+    // stops where the run did.
+    if (game.alive || gameStates.is("replay")) return;
 
-            if (playerBoundingBox.intersectsBox(vehicleBoundingBox)) {
-                if (!resultDOM || !finalScoreDOM) return;
-                resultDOM.style.visibility = "visible";
-                finalScoreDOM.innerText = position.currentRow.toString();
-                // Pause game logic on game over
-                renderer.setAnimationLoop(null);
-                if (backgroundMusic) backgroundMusic.pause();
-            }
-        });
+    runsPlayed++;
+    localStorage.setItem("gallinavr.runs", runsPlayed.toString());
+
+    // Rows crossed count, even if the chicken stepped back before it died
+    const row = game.players[index].bestRow;
+    if (onlineRace) online.sendDied({ tick: game.tick, row, cause });
+
+    // Two-player runs are a race between the two, not for the leaderboard
+    if (game.players.length > 1) {
+        lastResult = null;
+        gameStates.set("dying");
+        return;
+    }
+
+    lastResult = scores.record({ name: loadName(), score: row, seed: game.seed, cause });
+    if (lastResult.newBest) {
+        ghostRun = recorder.current();
+        saveGhostRun(ghostRun);
+        showRaceButtons();
     }
+
+    gameStates.set("dying");
+}
+
+function showGameOver() {
+    const [playerOne] = game.players;
+    const score = playerOne.bestRow;
+
+    // The in-world panel is only drawn while in VR
+    const cause = game.players.length > 1 ? winnerText() : deathCauses[playerOne.deathCause] ?? "";
+    hud.showGameOver({
+        score,
+        best: scores.getBest(),
+        seed: game.seed,
+        cause,
+        coins: playerOne.coins,
+        totalCoins: lifetimeCoins,
+        newBest: Boolean(lastResult?.newBest),
+        ...(onlineRace
+            ? { leaderboardTitle: "Standings", ...standingsForHUD() }
+            : { leaderboard: scores.entries, rank: lastResult?.rank ?? -1 }),
+    });
+
+    if (standingsContainerDOM) standingsContainerDOM.style.display = onlineRace ? "" : "none";
+    if (backToLobbyDOM) backToLobbyDOM.style.display = onlineId === null ? "none" : "";
+
+    if (!resultDOM || !finalScoreDOM) return;
+    resultDOM.style.visibility = "visible";
+    if (newBestDOM) newBestDOM.style.display = lastResult?.newBest ? "" : "none";
+    finalScoreDOM.innerText = game.players.map(({ bestRow }) => bestRow).join(" / ");
+    if (finalCauseDOM) finalCauseDOM.innerText = cause;
+    if (finalCoinsDOM) finalCoinsDOM.innerText = `${playerOne.coins} (${lifetimeCoins} in total)`;
+    if (finalSeedDOM) finalSeedDOM.innerText = game.seed;
+    if (seedInputDOM) seedInputDOM.value = game.seed;
+}
+
+// Whoever crossed more rows wins a two-player run
+function winnerText() {
+    const [one, two] = game.players.map(({ bestRow }) => bestRow);
+    if (one === two) return `A draw at row ${one}`;
+    return one > two ? `Player 1 wins by ${one - two}` : `Player 2 wins by ${two - one}`;
+}
+
+// Everything that has to happen when the game changes state. The clock is
+// read every frame whatever the state, so only coming back from a hidden
+// tab (when no frames run at all) needs it reset.
+function enterState(state) {
+    if (titleDOM) titleDOM.style.visibility = state === "title" ? "visible" : "hidden";
+    if (state === "title") {
+        showLeaderboard();
+        showDeadliest();
+    }
+    if (pauseDOM) pauseDOM.style.visibility = state === "paused" ? "visible" : "hidden";
+    if (replayDOM) replayDOM.style.visibility = state === "replay" ? "visible" : "hidden";
+    if (lobbyDOM) lobbyDOM.style.visibility = state === "lobby" ? "visible" : "hidden";
+    if (state !== "replay") playback = null;
+    if (state === "title" || state === "replay") stopGhost();
+
+    // Quitting to the title leaves the room, the lobby waits for the next race
+    if (state === "title") online.leave();
+    if (state === "title" || state === "lobby" || state === "replay") stopOnlineRace();
+    if (state === "title" || state === "lobby") showOnlineNotice(null);
+    if (state === "lobby") enterLobby();
+
+    if (state === "playing" || state === "replay") {
+        gameClock.getDelta();
+        if (resultDOM) resultDOM.style.visibility = "hidden";
+        hud.hideGameOver();
+    }
+
+    if (state === "gameOver") showGameOver();
+
+    // Quiet on the menus, a paused replay is made quiet by toggleReplayPause
+    audio.setPaused(!(state === "playing" || state === "dying" || state === "replay"));
 }
 
 function init() {
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a); // Set a background color for the VR scene
 
     player = Player();
     scene.add(player); // Player is now directly in the scene
 
+    playerTwo = PlayerTwo();
+    scene.add(playerTwo);
+
+    hawks = [Hawk(), Hawk()];
+    scene.add(...hawks);
+
     map = new THREE.Group();
     scene.add(map);
 
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Softer ambient light
-    scene.add(ambientLight);
-
-    const dirLight = DirectionalLight();
-    // In VR, the directional light can follow the player's general area
-    dirLight.target = player;
-    scene.add(dirLight); // Add directly to scene, not player, for consistent lighting
+    // The sun, the sky and the time of day, kept over the chicken in animate()
+    daylight = createDaylight(scene);
 
     camera = Camera();
-    // Camera is now directly in the scene or managed by WebXR
+    scene.add(camera); // So the HUD attached to it gets drawn
+    cameraTwo = Camera();
+    hud = createHUD(camera);
+    audio = createAudio(camera);
+
+    // Holds the camera, controllers and hands while in VR
+    rig = createRig(localStorage.getItem("gallinavr.viewMode") ?? undefined);
+    scene.add(rig.group);
 
     renderer = Renderer();
     document.getElementById("vr-button-container").appendChild(VRButton.createButton(renderer));
@@ -712,84 +1324,794 @@ function init() {
     scoreDOM = document.getElementById("score");
     resultDOM = document.getElementById("result-container");
     finalScoreDOM = document.getElementById("final-score");
+    finalSeedDOM = document.getElementById("final-seed");
+    seedInputDOM = document.getElementById("seed-input");
     gameControlsDOM = document.getElementById("game-controls");
-    backgroundMusic = document.getElementById("backgroundMusic");
+    viewModeDOM = document.getElementById("view-mode");
+    titleDOM = document.getElementById("title-container");
+    titleSeedInputDOM = document.getElementById("title-seed-input");
+    pauseDOM = document.getElementById("pause-container");
+    finalCauseDOM = document.getElementById("final-cause");
+    hawkWarningDOM = document.getElementById("hawk-warning");
+    coinsDOM = document.getElementById("coins");
+    finalCoinsDOM = document.getElementById("final-coins");
+    newBestDOM = document.getElementById("new-best");
+    leaderboardDOM = document.getElementById("leaderboard");
+    deadliestDOM = document.getElementById("deadliest");
+    playerNameDOM = document.getElementById("player-name");
+    replayDOM = document.getElementById("replay-bar");
+    replaySliderDOM = document.getElementById("replay-slider");
+    replayTimeDOM = document.getElementById("replay-time");
+    replayPlayDOM = document.getElementById("replay-play");
+    replayOutdatedDOM = document.getElementById("replay-outdated");
+    ghostStatusDOM = document.getElementById("ghost-status");
+    scoreTwoDOM = document.getElementById("score-two");
+    lobbyDOM = document.getElementById("lobby-container");
+    lobbyPlayersDOM = document.getElementById("lobby-players");
+    lobbyStatusDOM = document.getElementById("lobby-status");
+    relayURLDOM = document.getElementById("relay-url");
+    roomDOM = document.getElementById("room-input");
+    readyDOM = document.getElementById("ready");
+    standingsContainerDOM = document.getElementById("standings-container");
+    standingsTitleDOM = document.getElementById("standings-title");
+    standingsDOM = document.getElementById("standings");
+    backToLobbyDOM = document.getElementById("back-to-lobby");
+    onlineStatusDOM = document.getElementById("online-status");
+
+    // Headset controllers and hands, the buttons below can't be seen in VR
+    xrInput = createXRInput(renderer, rig.group, {
+        onMove: (direction) => {
+            if (gameStates.is("playing")) game.queueMove(direction);
+        },
+        onSelect: ({ controller }) => {
+            if (gameStates.is("gameOver") && hud.pointsAtRetry(controller)) {
+                startGame(game.seed, game.players.length);
+            }
+        },
+        onToggleView: toggleViewMode,
+    });
 
 
     // Event listener for VR session start/end to toggle controls
     renderer.xr.addEventListener('sessionstart', function () {
         console.log('VR Session Started');
         gameControlsDOM.classList.add('active'); // Show buttons in VR
-        if (backgroundMusic) backgroundMusic.play();
+        audio.unlock();
+
+        // There is no title or pause screen in the headset, so go straight to
+        // playing. The lobby's countdown starts the run by itself, and the
+        // result screen has its own panel in the headset to retry from.
+        if (gameStates.is("title")) startGame(titleSeedInputDOM?.value.trim() || game.seed);
+        else if (gameStates.is("paused")) gameStates.set("playing");
+
+        // The headset takes over the camera, carried around by the rig
+        rig.group.add(camera);
+        rig.follow(player.position, 0, true);
+        rig.requestRecenter();
     });
 
     renderer.xr.addEventListener('sessionend', function () {
         console.log('VR Session Ended');
         gameControlsDOM.classList.remove('active'); // Hide buttons outside VR
-        if (backgroundMusic) backgroundMusic.pause();
-    });
-
-    // Control buttons for movement
-    document.getElementById("forward")?.addEventListener("click", () => queueMove("forward"));
-    document.getElementById("backward")?.addEventListener("click", () => queueMove("backward"));
-    document.getElementById("left")?.addEventListener("click", () => queueMove("left"));
-    document.getElementById("right")?.addEventListener("click", () => queueMove("right"));
-
-    // Keyboard controls as fallback/alternative (still useful for development)
-    window.addEventListener("keydown", (event) => {
-        if (event.key === "ArrowUp") {
-            event.preventDefault();
-            queueMove("forward");
-        } else if (event.key === "ArrowDown") {
-            event.preventDefault();
-            queueMove("backward");
-        } else if (event.key === "ArrowLeft") {
-            event.preventDefault();
-            queueMove("left");
-        } else if (event.key === "ArrowRight") {
-            event.preventDefault();
-            queueMove("right");
-        }
+        if (!racingOnline()) gameStates.set("paused");
+
+        scene.add(camera);
+        camera.quaternion.identity();
+        player.children[0].visible = true;
     });
 
-    document.querySelector("#retry")?.addEventListener("click", initializeGame);
+    viewModeDOM?.addEventListener("click", toggleViewMode);
+    showViewMode();
+
+    input = createInput(renderer.domElement, { onIntent: handleIntent });
+    buildControlsMenu();
+    buildSkinsMenu();
+    buildSoundMenu();
+
+    game.on("reset", initializeMap);
+    game.on("reset", resetRun);
+    game.on("rowsGenerated", addRows);
+    game.on("rowsRemoved", removeRows);
+    game.on("moved", updateScore);
+    game.on("moved", () => {
+        if (!seeking) audio.hop();
+    });
+    game.on("died", playerDied);
+    game.on("trainWarning", ringBell);
+    game.on("hawkWarning", hawkWarning);
+    game.on("hawkLeft", hawkLeft);
+    game.on("coinCollected", collectCoin);
+    game.on("moveQueued", ({ direction, tick }) => {
+        if (onlineRace) online.sendMove(tick, direction);
+    });
 
-    initializeGame();
+    // Retry replays the seed in the input, so a shared seed can be typed in
+    // and the result screen's buttons keep the number of players
+    document.querySelector("#retry")?.addEventListener("click", () =>
+        startGame(seedInputDOM?.value.trim() || game.seed, game.players.length)
+    );
+    document.querySelector("#random-seed")?.addEventListener("click", () =>
+        startGame(randomSeed(), game.players.length)
+    );
+    document.querySelector("#daily-seed")?.addEventListener("click", () =>
+        startGame(dailySeed(), game.players.length)
+    );
+
+    // The start screen, clicking Play is also what lets the music play
+    document.querySelector("#play")?.addEventListener("click", () =>
+        startGame(titleSeedInputDOM?.value.trim() || game.seed)
+    );
+    document.querySelector("#title-daily")?.addEventListener("click", () =>
+        startGame(dailySeed())
+    );
+    document.querySelector("#play-two")?.addEventListener("click", () =>
+        startGame(titleSeedInputDOM?.value.trim() || game.seed, 2)
+    );
+    const dayNightDOM = document.getElementById("day-night");
+    if (dayNightDOM) {
+        dayNightDOM.checked = daylight.isEnabled();
+        dayNightDOM.addEventListener("change", () => daylight.setEnabled(dayNightDOM.checked));
+    }
+    if (playerNameDOM) {
+        playerNameDOM.value = loadName();
+        playerNameDOM.addEventListener("change", () => saveName(playerNameDOM.value));
+    }
+    document.querySelector("#resume")?.addEventListener("click", () =>
+        gameStates.set("playing")
+    );
+    document.querySelector("#quit")?.addEventListener("click", () =>
+        gameStates.set("title")
+    );
+
+    buildReplayControls();
+    buildLobby();
+
+    // Same course as the best run, with its ghost hopping alongside
+    document.querySelectorAll(".race-ghost").forEach((button) =>
+        button.addEventListener("click", () => startGame(ghostRun.seed))
+    );
+    showRaceButtons();
+
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden && !racingOnline()) gameStates.set("paused");
+    });
+
+    // Build the course behind the start screen so there is something to look at
+    initializeGame(seedFromURL());
+    if (titleSeedInputDOM) titleSeedInputDOM.value = game.seed;
+    enterState(gameStates.get());
 
     // Start the animation loop for WebXR
     renderer.setAnimationLoop(animate);
 }
 
-function initializeGame() {
-    initializePlayer();
-    initializeMap();
+// ?seed=abc opens a shared course, ?daily the day's challenge
+function seedFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("daily")) return dailySeed();
+    return params.get("seed") || randomSeed();
+}
+
+function initializeGame(seed, playerCount = 1) {
+    // Keep the address bar shareable: opening it again builds the same course
+    window.history.replaceState(null, "", `?seed=${encodeURIComponent(seed)}`);
+
+    game.reset(seed, playerCount);
+    audio.restartMusic();
+}
 
+// Whenever the core starts over, for a new run or a replay going back
+function resetRun() {
+    const twoPlayers = game.players.length > 1;
+    clearDeaths();
+    initializePlayer(player);
+    initializePlayer(playerTwo);
+    playerTwo.visible = twoPlayers;
+    hawks.forEach((hawk) => (hawk.visible = false));
+    showHawkWarning();
+
+    if (scoreTwoDOM) {
+        scoreTwoDOM.innerText = "0";
+        scoreTwoDOM.style.visibility = twoPlayers ? "visible" : "hidden";
+    }
     if (scoreDOM) scoreDOM.innerText = "0";
-    if (resultDOM) resultDOM.style.visibility = "hidden";
-    if (backgroundMusic) {
-        backgroundMusic.currentTime = 0; // Rewind music
-        // Only play if in VR or not in VR (if not in VR, it might auto-play,
-        // but explicit play() might be blocked by browser policies if not user-initiated)
-        if (renderer.xr.isPresenting) {
-            backgroundMusic.play();
-        } else {
-            // For desktop, usually an initial user interaction is needed to play audio
-            // You might need to add a "Start Game" button for desktop to ensure audio plays
+    hud.setScore(0, scores.getBest());
+    updateCoins(0);
+}
+
+// A fresh run on seed, from the title or game-over screen
+function startGame(seed, playerCount = 1) {
+    if (!gameStates.can("playing")) return;
+
+    stopOnlineRace();
+    showOnlineNotice(null);
+    initializeGame(seed, playerCount);
+    startGhost(seed);
+    gameStates.set("playing");
+}
+
+// player is who the intent came from, it only matters with two players
+function handleIntent(intent, player = 0) {
+    if (gameStates.is("replay")) {
+        if (intent === "pause" || intent === "confirm") toggleReplayPause();
+        return;
+    }
+
+    if (intent === "pause") {
+        if (gameStates.is("playing") && !racingOnline()) gameStates.set("paused");
+        else if (gameStates.is("paused")) gameStates.set("playing");
+        return;
+    }
+
+    if (intent === "confirm") {
+        if (gameStates.is("title")) startGame(titleSeedInputDOM?.value.trim() || game.seed);
+        else if (gameStates.is("paused")) gameStates.set("playing");
+        else if (gameStates.is("gameOver")) {
+            startGame(seedInputDOM?.value.trim() || game.seed, game.players.length);
         }
+        return;
     }
 
-    // Re-enable animation loop on retry
-    renderer.setAnimationLoop(animate);
+    if (gameStates.is("playing")) game.queueMove(intent, player < game.players.length ? player : 0);
+}
+
+// Watch replay from the title or game-over screen, or load a new one
+// while already watching
+function startReplay(replay) {
+    if (!gameStates.is("replay") && !gameStates.can("replay")) return;
+
+    playback = createPlayback(game, replay);
+    if (replaySliderDOM) replaySliderDOM.max = replay.ticks.toString();
+    if (replayOutdatedDOM) replayOutdatedDOM.style.display = playback.outdated ? "" : "none";
+    gameStates.set("replay");
+    showReplayControls();
+}
+
+function loadReplayFile(file) {
+    file.text()
+        .then((text) => startReplay(parseReplay(text)))
+        .catch((error) => alert(`Couldn't load the replay: ${error.message}`));
+}
+
+function toggleReplayPause() {
+    // Playing a replay that has run out starts it over
+    if (playback.finished()) {
+        seekReplay(0);
+        playback.setPaused(false);
+    } else {
+        playback.setPaused(!playback.isPaused());
+    }
+    audio.setPaused(playback.isPaused());
+    showReplayControls();
+}
+
+// Jumping runs every tick in between at once, without a sound for each
+function seekReplay(tick) {
+    seeking = true;
+    playback.seek(tick);
+    seeking = false;
+}
+
+function showReplayControls() {
+    if (!playback) return;
+
+    if (replayPlayDOM) replayPlayDOM.innerText = playback.isPaused() ? "Play" : "Pause";
+    document.querySelectorAll("#replay-speeds button").forEach((button) => {
+        button.classList.toggle("selected", Number(button.dataset.speed) === playback.getSpeed());
+    });
+    updateReplayPosition();
+}
+
+// Called every frame while a replay plays
+function updateReplayPosition() {
+    if (replaySliderDOM) replaySliderDOM.value = game.tick.toString();
+    if (replayTimeDOM) {
+        const seconds = (ticks) => (ticks * tickTime).toFixed(1);
+        replayTimeDOM.innerText = `${seconds(game.tick)} / ${seconds(playback.replay.ticks)} s`;
+    }
+}
+
+function buildReplayControls() {
+    const saveReplay = () => downloadReplay(recorder.current());
+    document.querySelector("#save-replay")?.addEventListener("click", saveReplay);
+    document.querySelector("#pause-save-replay")?.addEventListener("click", saveReplay);
+    document.querySelector("#watch-replay")?.addEventListener("click", () =>
+        startReplay(recorder.current())
+    );
+
+    const fileInput = document.getElementById("replay-file");
+    document.querySelector("#load-replay")?.addEventListener("click", () => fileInput?.click());
+    fileInput?.addEventListener("change", () => {
+        if (fileInput.files[0]) loadReplayFile(fileInput.files[0]);
+        fileInput.value = "";
+    });
+
+    // Dropping a replay file anywhere on the page plays it
+    document.addEventListener("dragover", (event) => event.preventDefault());
+    document.addEventListener("drop", (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer?.files[0];
+        if (file) loadReplayFile(file);
+    });
+
+    replayPlayDOM?.addEventListener("click", toggleReplayPause);
+    replaySliderDOM?.addEventListener("input", () => {
+        if (playback) seekReplay(Number(replaySliderDOM.value));
+        renderAlpha = 0;
+        updateReplayPosition();
+    });
+    document.querySelector("#replay-exit")?.addEventListener("click", () =>
+        gameStates.set("title")
+    );
+
+    document.getElementById("replay-speeds")?.replaceChildren(
+        ...playbackSpeeds.map((speed) => {
+            const button = document.createElement("button");
+            button.innerText = `${speed}x`;
+            button.dataset.speed = speed.toString();
+            button.addEventListener("click", () => {
+                playback?.setSpeed(speed);
+                showReplayControls();
+            });
+            return button;
+        })
+    );
+}
+
+// The online lobby: join a room on a relay, ready up and wait for the
+// countdown. The relay's address defaults to this page's host.
+function buildLobby() {
+    if (relayURLDOM) {
+        relayURLDOM.value =
+            localStorage.getItem("gallinavr.relay") ??
+            `ws://${window.location.hostname || "localhost"}:8080`;
+    }
+
+    document.querySelector("#online")?.addEventListener("click", () =>
+        gameStates.set("lobby")
+    );
+    document.querySelector("#join-room")?.addEventListener("click", () => {
+        const url = relayURLDOM?.value.trim();
+        if (!url) return;
+
+        localStorage.setItem("gallinavr.relay", url);
+        showLobbyStatus("Connecting...");
+        online.connect(url, { room: roomDOM?.value.trim(), name: loadName(), skin: skinId });
+    });
+    readyDOM?.addEventListener("click", () => online.setReady(!onlineReady));
+    document.querySelector("#leave-room")?.addEventListener("click", () =>
+        gameStates.set("title")
+    );
+    backToLobbyDOM?.addEventListener("click", () => gameStates.set("lobby"));
+}
+
+function enterLobby() {
+    if (onlineId === null) {
+        showLobbyPlayers([]);
+        showLobbyStatus("Join a room to race whoever else is in it");
+    } else if (online.getRace()) {
+        showLobbyStatus("Waiting for the others to finish their run");
+    } else {
+        showLobbyStatus("The race starts once everyone is ready");
+    }
+}
+
+function showLobby(players, id) {
+    onlineId = id;
+    showLobbyPlayers(players);
+    if (gameStates.is("lobby") && !onlineRace) enterLobby();
+}
+
+function showLobbyPlayers(players) {
+    onlineReady = players.some((player) => player.id === onlineId && player.ready);
+    if (readyDOM) {
+        readyDOM.disabled = onlineId === null;
+        readyDOM.innerText = onlineReady ? "Not ready" : "Ready";
+    }
+    if (!lobbyPlayersDOM) return;
+
+    lobbyPlayersDOM.replaceChildren(
+        ...players.map(({ id, name, ready }) => {
+            const row = document.createElement("li");
+            const label = document.createElement("span");
+            label.innerText = id === onlineId ? `${name} (you)` : name;
+            const status = document.createElement("span");
+            status.innerText = ready ? "Ready" : "Waiting";
+            status.classList.toggle("ready", ready);
+            row.append(label, status);
+            return row;
+        })
+    );
+}
+
+function showLobbyStatus(text) {
+    if (lobbyStatusDOM) lobbyStatusDOM.innerText = text;
+}
+
+// The countdown has run out, everyone starts on the same course together
+function startOnlineRace() {
+    const race = onlineRace;
+    startGame(race.seed);
+    onlineRace = race;
+    standings = [];
+    showStandings([], false);
+
+    race.remotes.forEach((remote, id) => {
+        const chicken = RemoteChicken(remote.skin);
+        scene.add(chicken);
+        remoteMeshes.set(id, chicken);
+    });
+}
+
+// An online race runs on the relay's clock for everyone, so it can't be
+// paused. Once the race is over or the relay is lost it's just a run.
+function racingOnline() {
+    return onlineRace !== null && online.getRace() === onlineRace;
+}
+
+// A hidden tab gets no frames while the race goes on, coming back runs the
+// ticks it missed so its moves don't land behind the other players'
+function catchUpWithRace() {
+    const behind = Math.floor(online.raceTime() / tickTime) - game.tick;
+    if (behind * tickTime < onlineConfig.remoteDelay) return;
+
+    for (let i = 0; i < behind && game.alive; i++) game.step(tickTime);
+    renderAlpha = 0;
+}
+
+// Forgets the online race here, the relay is told separately
+function stopOnlineRace() {
+    onlineRace = null;
+    remoteMeshes.forEach((chicken) => chicken.removeFromParent());
+    remoteMeshes.clear();
+}
+
+function removeRemoteChicken(id) {
+    remoteMeshes.get(id)?.removeFromParent();
+    remoteMeshes.delete(id);
+}
+
+// Remote chickens that have got ahead of the map built here aren't drawn,
+// there would be nothing under them
+function animateRemoteChickens() {
+    online.update();
+    remoteMeshes.forEach((chicken, id) => {
+        const sim = onlineRace.remotes.get(id).ghost.game;
+        animateChicken(chicken, sim);
+        chicken.visible = rowMeshes.has(sim.players[0].position.currentRow);
+    });
+}
+
+function showStandings(entries, final) {
+    standings = entries;
+    if (standingsTitleDOM) standingsTitleDOM.innerText = final ? "Final standings" : "Standings";
+    if (gameStates.is("gameOver") && onlineRace) {
+        const { leaderboard, rank } = standingsForHUD();
+        hud.setLeaderboard(leaderboard, rank);
+    }
+    if (!standingsDOM) return;
+
+    standingsDOM.replaceChildren(
+        ...entries.map((entry, index) => {
+            const row = document.createElement("tr");
+            if (entry.id === onlineId) row.classList.add("highlight");
+
+            [
+                `${index + 1}`,
+                entry.name,
+                entry.row === null ? "-" : `${entry.row}`,
+                standingCause(entry.cause),
+            ].forEach((text) => {
+                const cell = document.createElement("td");
+                cell.innerText = text;
+                row.append(cell);
+            });
+            return row;
+        })
+    );
+}
+
+function standingCause(cause) {
+    if (cause === null) return "Still running";
+    if (cause === "disconnected") return "Left the race";
+    return deathCauses[cause] ?? "";
+}
+
+function standingsForHUD() {
+    return {
+        leaderboard: standings.map(({ name, row }) => ({ name, score: row ?? "-" })),
+        rank: standings.findIndex(({ id }) => id === onlineId),
+    };
+}
+
+// Losing the relay mid-race doesn't end the run, it just isn't a race any more
+function onlineClosed(reason) {
+    const text =
+        reason === "timeout" ? "Lost touch with the relay" : "The relay closed the connection";
+    onlineId = null;
+    showLobbyPlayers([]);
+    showLobbyStatus(text);
+
+    if (gameStates.is("lobby")) stopOnlineRace();
+    else if (onlineRace) {
+        showOnlineNotice(`${text}, carrying on offline`);
+        if (standingsTitleDOM) standingsTitleDOM.innerText = "Standings when the relay was lost";
+        if (backToLobbyDOM) backToLobbyDOM.style.display = "none";
+    }
+    remoteMeshes.forEach((chicken) => chicken.removeFromParent());
+    remoteMeshes.clear();
+}
+
+// text, or null to take the notice down
+function showOnlineNotice(text) {
+    if (!onlineStatusDOM) return;
+    onlineStatusDOM.style.visibility = text ? "visible" : "hidden";
+    onlineStatusDOM.innerText = text ?? "";
+}
+
+// One row per intent in the controls menu, click one then press the key
+// or gamepad button it should use
+function buildControlsMenu() {
+    const list = document.getElementById("bindings");
+    if (!list) return;
+
+    const describe = ({ keys, buttons }) =>
+        [...keys, ...buttons.map((button) => `Pad ${button}`)].join(", ") || "-";
+
+    const render = () => {
+        list.replaceChildren(
+            ...intents.map((intent) => {
+                const row = document.createElement("li");
+                const label = document.createElement("span");
+                label.innerText = intent.replace("-", " ");
+                const button = document.createElement("button");
+                button.innerText = describe(input.bindings[intent]);
+                button.addEventListener("click", () => {
+                    button.innerText = "Press a key...";
+                    input.captureBinding(intent, render);
+                });
+                row.append(label, button);
+                return row;
+            })
+        );
+    };
+    render();
+
+    document.getElementById("controls-button")?.addEventListener("click", () => {
+        document.getElementById("skins-menu")?.classList.remove("open");
+        document.getElementById("sound-menu")?.classList.remove("open");
+        document.getElementById("controls-menu")?.classList.toggle("open");
+    });
+    document.getElementById("reset-bindings")?.addEventListener("click", () => {
+        input.resetBindings();
+        render();
+    });
+}
+
+// The leaderboard on the start screen, the last run highlighted if it made it
+function showLeaderboard() {
+    if (!leaderboardDOM) return;
+
+    if (!scores.entries.length) {
+        const row = document.createElement("tr");
+        const cell = document.createElement("td");
+        cell.colSpan = 6;
+        cell.innerText = "No runs yet";
+        row.append(cell);
+        leaderboardDOM.replaceChildren(row);
+        return;
+    }
+
+    leaderboardDOM.replaceChildren(
+        ...scores.entries.map((entry, index) => {
+            const row = document.createElement("tr");
+            if (entry === lastResult?.entry) row.classList.add("highlight");
+
+            [
+                `${index + 1}`,
+                entry.name,
+                `${entry.score}`,
+                deathCauses[entry.cause] ?? "",
+                new Date(entry.date).toLocaleDateString(),
+                entry.seed,
+            ].forEach((text) => {
+                const cell = document.createElement("td");
+                cell.innerText = text;
+                row.append(cell);
+            });
+            return row;
+        })
+    );
+}
+
+// What has ended the most runs on this device, under the leaderboard
+function showDeadliest() {
+    if (!deadliestDOM) return;
+
+    const top = scores.deadliest().slice(0, 3);
+    deadliestDOM.style.display = top.length ? "" : "none";
+    deadliestDOM.innerText =
+        "What gets you most: " +
+        top.map(([cause, count]) => `${deathCauses[cause] ?? cause} (${count})`).join(", ");
+}
+
+// Every skin with what it takes to unlock it, rebuilt each time it opens
+// so skins unlocked since show up
+function buildSkinsMenu() {
+    const list = document.getElementById("skins");
+    const menu = document.getElementById("skins-menu");
+    if (!list || !menu) return;
+
+    const render = () => {
+        const progress = { bestRow: scores.getBest(), runs: runsPlayed };
+        list.replaceChildren(
+            ...Object.entries(skins).map(([id, { name }]) => {
+                const row = document.createElement("li");
+                const label = document.createElement("span");
+                label.innerText = name;
+                const button = document.createElement("button");
+
+                if (!isUnlocked(id, progress)) {
+                    button.innerText = unlockHint(id);
+                    button.disabled = true;
+                } else {
+                    button.innerText = id === skinId ? "Selected" : "Select";
+                    button.addEventListener("click", () => {
+                        setSkin(id);
+                        render();
+                    });
+                }
+
+                row.append(label, button);
+                return row;
+            })
+        );
+    };
+
+    document.getElementById("skins-button")?.addEventListener("click", () => {
+        document.getElementById("controls-menu")?.classList.remove("open");
+        document.getElementById("sound-menu")?.classList.remove("open");
+        if (menu.classList.toggle("open")) render();
+    });
+}
+
+// A slider for each volume bus, see audio.js
+function buildSoundMenu() {
+    const list = document.getElementById("volumes");
+    const menu = document.getElementById("sound-menu");
+    if (!list || !menu) return;
+
+    list.replaceChildren(
+        ...buses.map((bus) => {
+            const row = document.createElement("li");
+            const label = document.createElement("label");
+            label.innerText = bus === "sfx" ? "Effects" : bus;
+            const slider = document.createElement("input");
+            slider.type = "range";
+            slider.min = "0";
+            slider.max = "1";
+            slider.step = "0.05";
+            slider.value = audio.getVolume(bus).toString();
+            slider.addEventListener("input", () => audio.setVolume(bus, Number(slider.value)));
+            label.append(slider);
+            row.append(label);
+            return row;
+        })
+    );
+
+    document.getElementById("sound-button")?.addEventListener("click", () => {
+        document.getElementById("controls-menu")?.classList.remove("open");
+        document.getElementById("skins-menu")?.classList.remove("open");
+        menu.classList.toggle("open");
+    });
 }
 
-function animate() {
+function toggleViewMode() {
+    const mode = rig.getMode() === "diorama" ? "chicken" : "diorama";
+    rig.setMode(mode, player.position);
+    localStorage.setItem("gallinavr.viewMode", mode);
+    showViewMode();
+}
+
+function showViewMode() {
+    if (viewModeDOM) {
+        viewModeDOM.innerText =
+            rig.getMode() === "diorama" ? "VR view: Diorama" : "VR view: Chicken";
+    }
+}
+
+function animate(time, frame) {
+    const delta = gameClock.getDelta();
+    input.update();
+    xrInput.update(delta);
+
+    if (gameStates.is("playing")) {
+        renderAlpha = game.advance(delta);
+        if (racingOnline()) catchUpWithRace();
+        ghost?.follow(game.tick);
+        honkAtChickens(time / 1000);
+    }
+
+    if (gameStates.is("replay")) {
+        renderAlpha = playback.update(delta);
+        updateReplayPosition();
+    }
+
+    // The race starts on the relay's clock, not when this frame happens to run
+    if (gameStates.is("lobby") && onlineRace) {
+        const time = online.raceTime();
+        if (time >= 0) startOnlineRace();
+        else showLobbyStatus(`Starting in ${Math.ceil(-time)}...`);
+    }
+
+    if (gameStates.is("dying") && deathsDone()) gameStates.set("gameOver");
+
+    hud.update(
+        renderer.xr.isPresenting,
+        xrInput.sources
+            .filter(({ inputSource }) => inputSource)
+            .map(({ controller }) => controller)
+    );
+
     animateVehicles();
-    animatePlayer();
-    hitTest();
+    animateSignals();
+    animateChicken(player, game);
+    if (game.players.length > 1) animateChicken(playerTwo, game, 1);
+    animateDeaths(delta);
+    animateGhost();
+    animateRemoteChickens();
+    animateHawks(time);
+    animateCoins(delta);
+    updateEngines();
+    audio.update();
+    daylight.update(game.tick * tickTime, lightFocus());
+
+    if (renderer.xr.isPresenting) {
+        rig.recenter(renderer, frame);
+        rig.follow(focusPoint(player, new THREE.Vector3()), delta);
+
+        // Looking out of the chicken's eyes, its body would only get in the way
+        player.children[0].visible = rig.getMode() !== "chicken";
+
+        renderer.render(scene, camera);
+        return;
+    }
+
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    if (game.players.length === 1) {
+        renderView(camera, player, 0, width, height);
+        return;
+    }
+
+    // Side by side, each half following its own chicken
+    renderer.setScissorTest(true);
+    renderView(camera, player, 0, width / 2, height);
+    renderView(cameraTwo, playerTwo, width / 2, width / 2, height);
+    renderer.setScissorTest(false);
+}
+
+// Shadows are kept around the chicken, or between the two of them
+const lightTarget = new THREE.Vector3();
+function lightFocus() {
+    lightTarget.copy(player.position);
+    if (game.players.length > 1) lightTarget.lerp(playerTwo.position, 0.5);
+    return lightTarget;
+}
+
+// Draws the scene into the part of the canvas starting left pixels in,
+// seen by view from behind chicken
+function renderView(view, chicken, left, width, height) {
+    if (view.aspect !== width / height) {
+        view.aspect = width / height;
+        view.updateProjectionMatrix();
+    }
+    renderer.setViewport(left, 0, width, height);
+    renderer.setScissor(left, 0, width, height);
 
     // Get the player's world position
-    const playerWorldPosition = new THREE.Vector3();
-    player.getWorldPosition(playerWorldPosition);
+    const playerWorldPosition = focusPoint(chicken, new THREE.Vector3());
     
     // Third-person camera position relative to the player
     // The camera is placed behind and slightly above the player.
@@ -798,17 +2120,17 @@ function animate() {
     const cameraOffsetY = 0; // Camera is 150 units behind the player (along the Y-axis, as Y is forward in your game)
     const cameraOffsetZ = 180; // Camera is 100 units above the player (along the Z-axis)
 
-    camera.position.set(
+    view.position.set(
         playerWorldPosition.x + cameraOffsetX,
         playerWorldPosition.y + cameraOffsetY,
         playerWorldPosition.z + cameraOffsetZ
     );
 
     // Make the camera look at the player's position
-    camera.lookAt(playerWorldPosition.x, playerWorldPosition.y, playerWorldPosition.z + 20); // Look slightly above the player's base to center the view
+    view.lookAt(playerWorldPosition.x, playerWorldPosition.y, playerWorldPosition.z + 20); // Look slightly above the player's base to center the view
 
 
-    renderer.render(scene, camera);
+    renderer.render(scene, view);
 }
 
 // Initialize the Three.js scene and game
@@ -0,0 +1,325 @@
+// A small WebSocket relay for online races, plain Node without packages:
+//
+//   node server/relay.mjs [port]
+//
+// Players join a room and ready up. Once everyone in the room is ready the
+// relay picks a seed and a start time for all of them, then it only passes
+// moves along: every browser runs the race itself. When a player is out
+// their browser reports how far they got, and the standings go back to the
+// whole room.
+//
+// Messages are JSON text frames. From a player:
+//   { type: "join", room, name, skin }    { type: "ready", ready }
+//   { type: "move", tick, direction }     { type: "died", tick, row, cause }
+//   { type: "ping" }                      { type: "leave" }
+// To a player:
+//   { type: "joined", id }                { type: "lobby", players }
+//   { type: "start", seed, startAt, serverTime, players }
+//   { type: "move", id, tick, direction } { type: "left", id }
+//   { type: "standings", standings, final }
+//   { type: "pong" }                      { type: "error", message }
+import { createServer } from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+
+const port = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+
+const relayConfig = {
+    // Seconds between everyone being ready and the race starting
+    countdown: 3,
+    // Seconds without hearing from a player before they are dropped
+    timeout: 15,
+    maxPlayersPerRoom: 8,
+    maxMessageBytes: 4096,
+};
+
+// Fixed by the WebSocket protocol, mixed into the handshake
+const handshakeGuid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const rooms = new Map(); // Room name -> { name, clients, racing, results }
+const clients = new Set(); // Every open connection, in a room or not yet
+let nextId = 1;
+
+const server = createServer((request, response) => {
+    response.writeHead(200, { "Content-Type": "text/plain" });
+    response.end("Gallina Turuleca VR relay\n");
+});
+
+server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+
+    const accept = createHash("sha1").update(key + handshakeGuid).digest("base64");
+    socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+            "Upgrade: websocket\r\n" +
+            "Connection: Upgrade\r\n" +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = {
+        id: nextId++,
+        socket,
+        name: "",
+        skin: "",
+        room: null,
+        ready: false,
+        lastSeen: Date.now(),
+        buffer: Buffer.alloc(0),
+    };
+    clients.add(client);
+
+    socket.on("data", (data) => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        readFrames(client);
+    });
+    // Upgraded sockets stay half open, so hang up as soon as the player does
+    socket.on("end", () => socket.end());
+    socket.on("close", () => {
+        clients.delete(client);
+        leaveRoom(client);
+    });
+    socket.on("error", () => socket.destroy());
+});
+
+// Frames from a browser are always masked. Messages split over several
+// frames aren't needed for messages this small and are refused.
+function readFrames(client) {
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (!fin || !masked || length > relayConfig.maxMessageBytes) {
+            close(client);
+            return;
+        }
+        if (buffer.length < offset + 4 + length) return;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        client.buffer = buffer.subarray(offset + 4 + length);
+
+        if (opcode === 0x8) {
+            close(client);
+            return;
+        }
+        if (opcode === 0x9) sendFrame(client.socket, 0xa, payload);
+        if (opcode === 0x1) receive(client, payload.toString("utf8"));
+    }
+}
+
+function sendFrame(socket, opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    if (!socket.destroyed) socket.write(Buffer.concat([header, payload]));
+}
+
+function send(client, message) {
+    sendFrame(client.socket, 0x1, Buffer.from(JSON.stringify(message)));
+}
+
+function broadcast(room, message, except = null) {
+    room.clients.forEach((client) => {
+        if (client !== except) send(client, message);
+    });
+}
+
+function close(client) {
+    sendFrame(client.socket, 0x8, Buffer.alloc(0));
+    client.socket.end();
+    leaveRoom(client);
+}
+
+function receive(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return; // Not for us
+    }
+    if (!message || typeof message !== "object") return;
+
+    client.lastSeen = Date.now();
+    const { room } = client;
+
+    if (message.type === "ping") send(client, { type: "pong" });
+    if (message.type === "join") joinRoom(client, message);
+    if (message.type === "leave") leaveRoom(client);
+    if (!room) return;
+
+    if (message.type === "ready" && !room.racing) {
+        client.ready = Boolean(message.ready);
+        sendLobby(room);
+        startIfReady(room);
+    }
+
+    if (message.type === "move" && room.racing && Number.isInteger(message.tick)) {
+        broadcast(
+            room,
+            { type: "move", id: client.id, tick: message.tick, direction: String(message.direction) },
+            client
+        );
+    }
+
+    if (message.type === "died" && room.racing && !room.results.has(client.id)) {
+        room.results.set(client.id, {
+            id: client.id,
+            name: client.name,
+            row: Number(message.row) || 0,
+            cause: String(message.cause ?? ""),
+            tick: Number(message.tick) || 0,
+        });
+        sendStandings(room);
+    }
+}
+
+function joinRoom(client, { room: roomName, name, skin }) {
+    if (client.room) leaveRoom(client);
+
+    const key = String(roomName ?? "").trim().slice(0, 32) || "lobby";
+    let room = rooms.get(key);
+    if (!room) {
+        room = { name: key, clients: new Set(), racing: false, results: new Map() };
+        rooms.set(key, room);
+    }
+
+    if (room.racing) {
+        send(client, { type: "error", message: "That room is already racing, try again in a moment" });
+        return;
+    }
+    if (room.clients.size >= relayConfig.maxPlayersPerRoom) {
+        send(client, { type: "error", message: "That room is full" });
+        return;
+    }
+
+    client.name = String(name ?? "").trim().slice(0, 16) || `Player ${client.id}`;
+    client.skin = String(skin ?? "");
+    client.ready = false;
+    client.room = room;
+    room.clients.add(client);
+
+    send(client, { type: "joined", id: client.id, room: key });
+    sendLobby(room);
+}
+
+function leaveRoom(client) {
+    const { room } = client;
+    if (!room) return;
+
+    client.room = null;
+    room.clients.delete(client);
+    broadcast(room, { type: "left", id: client.id });
+
+    // Leaving mid-race still gets a place, at the bottom
+    if (room.racing && !room.results.has(client.id)) {
+        room.results.set(client.id, {
+            id: client.id,
+            name: client.name,
+            row: null,
+            cause: "disconnected",
+            tick: 0,
+        });
+    }
+
+    if (!room.clients.size) {
+        rooms.delete(room.name);
+        return;
+    }
+
+    if (room.racing) sendStandings(room);
+    else {
+        sendLobby(room);
+        startIfReady(room);
+    }
+}
+
+function playerList(room) {
+    return [...room.clients].map(({ id, name, skin, ready }) => ({ id, name, skin, ready }));
+}
+
+function sendLobby(room) {
+    broadcast(room, { type: "lobby", players: playerList(room) });
+}
+
+// Racing alone is allowed, waiting for a friend who never comes isn't fun
+function startIfReady(room) {
+    if (![...room.clients].every((client) => client.ready)) return;
+
+    const serverTime = Date.now();
+    room.racing = true;
+    room.results.clear();
+
+    broadcast(room, {
+        type: "start",
+        seed: randomBytes(4).toString("hex"),
+        startAt: serverTime + relayConfig.countdown * 1000,
+        serverTime,
+        players: playerList(room),
+    });
+}
+
+// Those still running first, then everyone who has finished or left.
+// Once nobody is running any more the race is over and the room goes back
+// to its lobby.
+function sendStandings(room) {
+    const results = [...room.results.values()].sort(
+        (a, b) => (b.row ?? -1) - (a.row ?? -1) || b.tick - a.tick
+    );
+    const running = [...room.clients]
+        .filter((client) => !room.results.has(client.id))
+        .map(({ id, name }) => ({ id, name, row: null, cause: null }));
+    const final = running.length === 0;
+
+    broadcast(room, { type: "standings", standings: [...running, ...results], final });
+
+    if (final) {
+        room.racing = false;
+        room.clients.forEach((client) => (client.ready = false));
+        sendLobby(room);
+    }
+}
+
+// Drop players whose browser went away without saying so, and connections
+// that never joined a room
+setInterval(() => {
+    const cutoff = Date.now() - relayConfig.timeout * 1000;
+    clients.forEach((client) => {
+        if (client.lastSeen < cutoff) {
+            clients.delete(client);
+            client.socket.destroy();
+            leaveRoom(client);
+        }
+    });
+}, 1000);
+
+server.listen(port, () => console.log(`Relay listening on ws://localhost:${port}`));
@@ -0,0 +1,163 @@
+// The characters the player can run as. Each one is built from boxes, and
+// may name a glTF model to load over the boxes once it has arrived. The
+// chicken faces +y with its feet at z = 0, every skin is built the same way.
+//
+// No models ship with the game yet: give a skin a model path next to its
+// build and drop a .glb there. Export them the usual glTF way, Y-up and
+// facing +z at any size, fitModel() turns them and scales them to
+// modelHeight. The boxes share their geometry and materials, see
+// resources.js, so building a skin for every ghost costs next to nothing.
+import * as THREE from "https://esm.sh/three";
+import { GLTFLoader } from "https://esm.sh/three/examples/jsm/loaders/GLTFLoader.js";
+import { clone as cloneModel } from "https://esm.sh/three/examples/jsm/utils/SkeletonUtils.js";
+import { boxGeometry, lambertMaterial } from "./resources.js";
+
+// unlock is what it takes to be allowed to pick a skin: a best row reached,
+// a number of runs played, or nothing for skins open from the start
+export const skins = {
+    chicken: {
+        name: "Chicken",
+        build: () => Bird({ body: "white", comb: 0xf0619a }),
+    },
+    duck: {
+        name: "Duck",
+        unlock: { bestRow: 20 },
+        build: () => Bird({ body: 0xfde047, beak: 0xf97316 }),
+    },
+    penguin: {
+        name: "Penguin",
+        unlock: { runs: 10 },
+        build: () => Bird({ body: 0x1f2937, belly: "white", beak: 0xf97316 }),
+    },
+    pig: {
+        name: "Pig",
+        unlock: { bestRow: 50 },
+        build: () => Quadruped({ body: 0xf9a8d4, snout: 0xec4899 }),
+    },
+    cow: {
+        name: "Cow",
+        unlock: { runs: 25 },
+        build: () => Quadruped({ body: "white", patches: 0x1f2937, snout: 0xfbcfe8 }),
+    },
+    rooster: {
+        name: "Rooster",
+        unlock: { bestRow: 100 },
+        build: () => Bird({ body: 0xb45309, comb: 0xdc2626, beak: 0xfacc15 }),
+    },
+};
+
+export const defaultSkin = "chicken";
+
+// progress is { bestRow, runs }
+export function isUnlocked(id, progress) {
+    const { unlock } = skins[id];
+    if (!unlock) return true;
+    if (unlock.bestRow !== undefined && progress.bestRow < unlock.bestRow) return false;
+    if (unlock.runs !== undefined && progress.runs < unlock.runs) return false;
+    return true;
+}
+
+// What still has to be done to unlock a skin, for the menu
+export function unlockHint(id) {
+    const { unlock } = skins[id];
+    if (!unlock) return "";
+    if (unlock.bestRow !== undefined) return `Reach row ${unlock.bestRow}`;
+    return `Play ${unlock.runs} runs`;
+}
+
+// How tall a model ends up, in the same units as the box skins
+const modelHeight = 20;
+
+const loader = new GLTFLoader();
+const models = new Map(); // Model url -> promise of its scene
+
+// Returns the skin's box version straight away. If it has a model, the
+// boxes are swapped for it once it loads, and kept if it never does.
+export function buildSkin(id) {
+    const skin = skins[id] ?? skins[defaultSkin];
+    const group = new THREE.Group();
+    group.add(skin.build());
+
+    if (skin.model) {
+        loadModel(skin.model)
+            .then((scene) => {
+                const model = fitModel(scene);
+                model.traverse((child) => {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+                });
+                group.clear();
+                group.add(model);
+            })
+            .catch(() => {
+                // No model file, the boxes will do
+            });
+    }
+
+    return group;
+}
+
+// A copy of a glTF scene standing on z = 0 and facing +y like the box
+// skins. SkeletonUtils' clone keeps skinned meshes bound to their bones.
+function fitModel(scene) {
+    const model = cloneModel(scene);
+    model.rotation.x = Math.PI / 2; // Y-up to Z-up, which leaves it facing -y
+
+    const turned = new THREE.Group();
+    turned.rotation.z = Math.PI;
+    turned.add(model);
+
+    const box = new THREE.Box3().setFromObject(turned);
+    const center = box.getCenter(new THREE.Vector3());
+    const scale = modelHeight / (box.max.z - box.min.z || 1);
+    turned.scale.setScalar(scale);
+    turned.position.set(-center.x * scale, -center.y * scale, -box.min.z * scale);
+
+    return turned;
+}
+
+function loadModel(url) {
+    if (!models.has(url)) {
+        models.set(url, loader.loadAsync(url).then((gltf) => gltf.scene));
+    }
+    return models.get(url);
+}
+
+function Box(width, height, depth, color, x, y, z) {
+    const box = new THREE.Mesh(
+        boxGeometry(width, height, depth),
+        lambertMaterial({ color, flatShading: true })
+    );
+    box.position.set(x, y, z);
+    box.castShadow = true;
+    box.receiveShadow = true;
+    return box;
+}
+
+function Bird({ body, comb, beak, belly }) {
+    const bird = new THREE.Group();
+    bird.add(Box(15, 15, 20, body, 0, 0, 10));
+    if (comb) bird.add(Box(2, 4, 2, comb, 0, 0, 21));
+    if (beak) bird.add(Box(4, 4, 3, beak, 0, 9, 15));
+    if (belly) bird.add(Box(11, 1, 14, belly, 0, 7.5, 9));
+    return bird;
+}
+
+function Quadruped({ body, patches, snout }) {
+    const animal = new THREE.Group();
+    animal.add(Box(16, 20, 12, body, 0, -2, 12));
+    animal.add(Box(12, 10, 11, body, 0, 11, 18));
+    animal.add(Box(8, 3, 5, snout, 0, 17, 16));
+
+    [-5, 5].forEach((x) => {
+        [-8, 4].forEach((y) => animal.add(Box(4, 4, 6, body, x, y, 3)));
+        animal.add(Box(3, 2, 4, patches ?? body, x, 10, 25));
+    });
+
+    if (patches) {
+        animal.add(Box(8, 8, 1, patches, -3, -4, 18.5));
+        animal.add(Box(6, 6, 1, patches, 4, 2, 18.5));
+    }
+
+    return animal;
+}
@@ -0,0 +1,50 @@
+// Makes sure a batch of generated rows can always be crossed. Roads and
+// rivers only ever block for a moment, but trees stay put, so two forest
+// rows in a row can wall off part of the map for good.
+import { minTileIndex, maxTileIndex } from "./generation.js";
+import { randomElement } from "./random.js";
+
+// rows starts with the last row already on the map (if any), followed by
+// the new ones. Every stretch of free tiles in a row needs at least one
+// free tile straight ahead of it, otherwise a tree in the row ahead is
+// cleared. Only the new rows are changed. Returns the number of repairs.
+export function ensurePassable(rows, random) {
+    let repairs = 0;
+
+    for (let i = 0; i + 1 < rows.length; i++) {
+        const nextRow = rows[i + 1];
+        if (nextRow.type !== "forest") continue;
+
+        freeStretches(rows[i]).forEach((stretch) => {
+            const hasExit = stretch.some((tile) => !hasTree(nextRow, tile));
+            if (hasExit) return;
+
+            const tile = randomElement(random, stretch);
+            nextRow.trees = nextRow.trees.filter((tree) => tree.tileIndex !== tile);
+            repairs++;
+        });
+    }
+
+    return repairs;
+}
+
+function hasTree(rowData, tileIndex) {
+    return (
+        rowData.type === "forest" &&
+        rowData.trees.some((tree) => tree.tileIndex === tileIndex)
+    );
+}
+
+// Runs of neighbouring tiles the player can walk along without hitting a tree
+function freeStretches(rowData) {
+    const stretches = [[]];
+
+    for (let tileIndex = minTileIndex; tileIndex <= maxTileIndex; tileIndex++) {
+        const current = stretches[stretches.length - 1];
+
+        if (!hasTree(rowData, tileIndex)) current.push(tileIndex);
+        else if (current.length) stretches.push([]);
+    }
+
+    return stretches.filter((stretch) => stretch.length);
+}
@@ -0,0 +1,29 @@
+// A small finite state machine: a table of which states may follow each
+// state, and a callback whenever the state changes. Asking for a change
+// the table doesn't allow does nothing and returns false.
+export function createStateMachine({ initial, transitions, onChange }) {
+    let current = initial;
+
+    function get() {
+        return current;
+    }
+
+    function is(...states) {
+        return states.includes(current);
+    }
+
+    function can(next) {
+        return (transitions[current] ?? []).includes(next);
+    }
+
+    function set(next) {
+        if (!can(next)) return false;
+
+        const previous = current;
+        current = next;
+        onChange?.(next, previous);
+        return true;
+    }
+
+    return { get, is, can, set };
+}
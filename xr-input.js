@@ -0,0 +1,177 @@
+// Turns WebXR controllers and tracked hands into hops. Works in the XR
+// reference space, where the player faces -z and distances are metres:
+//
+//  - thumbstick flicks hop once, holding the stick over keeps hopping
+//  - swiping a controller while squeezing its grip hops in that direction
+//  - pinching with a tracked hand and flicking it hops once per pinch
+//  - trigger / select (or a pinch) confirms whatever menu is open
+//  - clicking a thumbstick switches the view
+import * as THREE from "https://esm.sh/three";
+import { XRControllerModelFactory } from "https://esm.sh/three/examples/jsm/webxr/XRControllerModelFactory.js";
+
+export const xrInputConfig = {
+    // Stick travel, from 0 to 1, below which the stick counts as centred
+    deadZone: 0.25,
+    // Stick travel a flick has to reach to count as a hop
+    flickThreshold: 0.7,
+    // Seconds a stick has to be held over before it starts repeating, and
+    // then between hops
+    repeatDelay: 0.45,
+    repeatInterval: 0.25,
+    // A swipe or hand flick covers this many metres within gestureTime seconds
+    swipeDistance: 0.15,
+    flickDistance: 0.08,
+    gestureTime: 0.3,
+};
+
+const rayLength = 5;
+
+export function createXRInput(renderer, parent, { onMove, onSelect, onToggleView }) {
+    const modelFactory = new XRControllerModelFactory();
+    const sources = [0, 1].map((index) => Source(index));
+    let time = 0;
+
+    function Source(index) {
+        const source = {
+            inputSource: null,
+            controller: renderer.xr.getController(index),
+            hand: renderer.xr.getHand(index),
+            squeezing: false,
+            pinching: false,
+            gestureUsed: false, // One hop per squeeze or pinch
+            samples: [], // Recent { time, position } while squeezing or pinching
+            stick: { direction: null, heldFor: 0, repeats: 0, pressed: false },
+        };
+
+        const { controller, hand } = source;
+
+        controller.addEventListener("connected", (event) => {
+            source.inputSource = event.data;
+        });
+        controller.addEventListener("disconnected", () => {
+            source.inputSource = null;
+        });
+        controller.addEventListener("select", () => onSelect(source));
+
+        controller.addEventListener("squeezestart", () => startGesture(source, "squeezing"));
+        controller.addEventListener("squeezeend", () => endGesture(source, "squeezing"));
+        hand.addEventListener("pinchstart", () => startGesture(source, "pinching"));
+        hand.addEventListener("pinchend", () => endGesture(source, "pinching"));
+
+        // A pointer ray, handy for aiming at in-world menus
+        const ray = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                new THREE.Vector3(0, 0, -rayLength),
+            ]),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 })
+        );
+        ray.name = "ray";
+        controller.add(ray);
+        parent.add(controller);
+
+        const grip = renderer.xr.getControllerGrip(index);
+        grip.add(modelFactory.createControllerModel(grip));
+        parent.add(grip);
+
+        parent.add(hand);
+
+        return source;
+    }
+
+    function startGesture(source, flag) {
+        source[flag] = true;
+        source.gestureUsed = false;
+        source.samples.length = 0;
+    }
+
+    function endGesture(source, flag) {
+        source[flag] = false;
+        source.samples.length = 0;
+    }
+
+    function update(delta) {
+        time += delta;
+
+        sources.forEach((source) => {
+            if (!source.inputSource) return;
+
+            if (source.inputSource.hand) {
+                if (source.pinching) trackGesture(source, fingerTip(source), xrInputConfig.flickDistance);
+            } else {
+                updateStick(source, delta);
+                if (source.squeezing) trackGesture(source, source.controller.position, xrInputConfig.swipeDistance);
+            }
+        });
+    }
+
+    function fingerTip(source) {
+        const tip = source.hand.joints["index-finger-tip"];
+        return tip ? tip.position : null;
+    }
+
+    function updateStick(source, delta) {
+        const gamepad = source.inputSource.gamepad;
+        if (!gamepad) return;
+
+        // xr-standard puts the thumbstick on axes 2 and 3, some controllers
+        // only report the first two
+        const axes = gamepad.axes.length >= 4 ? gamepad.axes.slice(2, 4) : gamepad.axes;
+        const [x = 0, y = 0] = axes;
+        const stick = source.stick;
+
+        const pressed = Boolean(gamepad.buttons[3]?.pressed);
+        if (pressed && !stick.pressed) onToggleView?.();
+        stick.pressed = pressed;
+
+        if (Math.hypot(x, y) < xrInputConfig.deadZone) {
+            stick.direction = null;
+            return;
+        }
+
+        if (!stick.direction) {
+            if (Math.max(Math.abs(x), Math.abs(y)) < xrInputConfig.flickThreshold) return;
+
+            // Up on the stick is negative y
+            stick.direction = dominantDirection(x, y);
+            stick.heldFor = 0;
+            stick.repeats = 0;
+            onMove(stick.direction);
+            return;
+        }
+
+        stick.heldFor += delta;
+        const repeatsDue = Math.floor(
+            (stick.heldFor - xrInputConfig.repeatDelay) / xrInputConfig.repeatInterval
+        ) + 1;
+        if (repeatsDue > stick.repeats) {
+            stick.repeats = repeatsDue;
+            onMove(stick.direction);
+        }
+    }
+
+    function trackGesture(source, position, distance) {
+        if (!position || source.gestureUsed) return;
+
+        const samples = source.samples;
+        samples.push({ time, x: position.x, z: position.z });
+        while (samples.length && time - samples[0].time > xrInputConfig.gestureTime) {
+            samples.shift();
+        }
+
+        const dx = position.x - samples[0].x;
+        const dz = position.z - samples[0].z;
+        if (Math.hypot(dx, dz) < distance) return;
+
+        source.gestureUsed = true;
+        onMove(dominantDirection(dx, dz));
+    }
+
+    return { sources, update };
+}
+
+// Away from the player (-z, or up on a stick) is forward
+function dominantDirection(x, z) {
+    if (Math.abs(x) > Math.abs(z)) return x > 0 ? "right" : "left";
+    return z < 0 ? "forward" : "backward";
+}